@@ -0,0 +1,276 @@
+const User = require('../models/user');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+const { JOB_NAMES, triggerJob } = require('../jobs/scheduler');
+const { containsPattern } = require('../utils/queryFilters');
+const { revokeAllSessions } = require('../utils/sessions');
+
+const ROLES = User.schema.path('role').enumValues;
+
+const formatUser = (user) => ({
+  id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  phone: user.phone,
+  country: user.country,
+  role: user.role,
+  disabled: user.disabled,
+  disabledAt: user.disabledAt,
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  createdAt: user.createdAt
+});
+
+// @desc    List and search users
+// @route   GET /api/admin/users?q=ada&role=instructor&disabled=false&page=1&limit=20
+// @access  Private/Admin
+exports.getUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.q) {
+      const pattern = containsPattern(req.query.q);
+      filter.$or = [{ fullName: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (req.query.role) {
+      if (!ROLES.includes(req.query.role)) {
+        return res.status(400).json({ success: false, message: 'Invalid role filter' });
+      }
+      filter.role = req.query.role;
+    }
+    if (req.query.disabled === 'true' || req.query.disabled === 'false') {
+      filter.disabled = req.query.disabled === 'true';
+    }
+
+    const total = await User.countDocuments(filter);
+
+    const users = await User.find(filter)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      users: users.map(formatUser)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Admin
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (req.params.id === req.user.id && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { role }, { new: true, runValidators: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Disable or re-enable a user account
+// @route   PUT /api/admin/users/:id/status
+// @access  Private/Admin
+exports.updateUserStatus = async (req, res) => {
+  try {
+    const { disabled } = req.body;
+
+    if (typeof disabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide disabled as true or false'
+      });
+    }
+
+    if (req.params.id === req.user.id && disabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable your own account'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { disabled, disabledAt: disabled ? new Date() : null },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: disabled ? 'User account disabled' : 'User account enabled',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Turn off a user's two-factor authentication (e.g. lost device and recovery codes)
+// @route   POST /api/admin/users/:id/2fa/reset
+// @access  Private/Admin
+exports.resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.enabledAt': 1,
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.recoveryCodes': 1
+        }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // The user signs in again with just their password and can enroll a new device
+    await revokeAllSessions(user._id, 'two_factor_reset');
+    console.log(`Admin ${req.user.email} reset two-factor authentication for ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication reset',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Get background job status and recent runs
+// @route   GET /api/admin/jobs?runs=5
+// @access  Private/Admin
+exports.getJobs = async (req, res) => {
+  try {
+    const runsPerJob = Math.min(parseInt(req.query.runs, 10) || 5, 50);
+    const now = new Date();
+
+    const jobs = await Promise.all(
+      JOB_NAMES.map(async (name) => {
+        const lock = await JobLock.findById(name);
+        const runs = await JobRun.find({ job: name }).sort('-startedAt').limit(runsPerJob);
+
+        return {
+          name,
+          locked: Boolean(lock && lock.lockedUntil > now),
+          lockedBy: lock && lock.lockedUntil > now ? lock.owner : null,
+          lockedUntil: lock && lock.lockedUntil > now ? lock.lockedUntil : null,
+          runs
+        };
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      jobs
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Run a background job now
+// @route   POST /api/admin/jobs/:name/run
+// @access  Private/Admin
+exports.runJob = async (req, res) => {
+  try {
+    if (!JOB_NAMES.includes(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown job. Available jobs: ${JOB_NAMES.join(', ')}`
+      });
+    }
+
+    const run = await triggerJob(req.params.name, 'manual');
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'This job is already running'
+      });
+    }
+
+    res.status(200).json({
+      success: run.status === 'succeeded',
+      run
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
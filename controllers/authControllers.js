@@ -1,35 +1,129 @@
 const User = require('../models/user');
-const https = require('https');
+const Document = require('../models/Documents');
+const Session = require('../models/Session');
+const LoginEvent = require('../models/LoginEvent');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const {
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+  rotateSession,
+  findSessionByToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const { createChallengeToken, verifyChallengeToken, verifySecondFactor } = require('../utils/twoFactor');
+const { sendVerificationEmail, sendPasswordResetEmail, sendProviderLinkEmail } = require('../utils/accountEmails');
+const { lockedUntil, clearFailures, recordSuccess, recordFailure } = require('../utils/loginSecurity');
+const {
+  PROVIDER_NAMES,
+  isConfigured,
+  fetchProfile,
+  findByIdentity,
+  linkIdentity
+} = require('../utils/oauthProviders');
 
-// Helper function to send token response with cookie
-const sendTokenResponse = (user, statusCode, req, res, message = 'Success') => {
-  const token = user.getSignedJwtToken();
+// At least 8 characters, including uppercase, lowercase, and number
+const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
+const PASSWORD_MESSAGE = 'Password must contain at least 8 characters, including uppercase, lowercase, and number';
 
-  const options = {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production' || req.protocol === 'https',
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax', // Use 'none' for cross-site in prod
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-  };
+// One emailed link of each kind per account per minute, whatever the IP
+const EMAIL_COOLDOWN_MS = 60 * 1000;
+
+// Whether a link expiring at `expire` (valid for `ttlMs`) was sent within the cooldown
+const sentRecently = (expire, ttlMs) =>
+  Boolean(expire) && new Date(expire).getTime() - ttlMs > Date.now() - EMAIL_COOLDOWN_MS;
+
+// Email a fresh verification link. A failed send is logged rather than thrown; the user can ask again.
+const startEmailVerification = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendVerificationEmail(user, token);
+    return true;
+  } catch (err) {
+    console.error(`Error sending verification email: ${err.message}`);
+    return false;
+  }
+};
+
+// Mark the address verified and release the document reminders withheld until now
+const completeEmailVerification = async (user) => {
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+  await Document.refreshReminderTimes(user);
+};
+
+// The refresh cookie is only sent to the auth routes that use it
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const cookieOptions = (req, extra) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production' || req.protocol === 'https',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax', // Use 'none' for cross-site in prod
+  ...extra,
+});
+
+const clearAuthCookies = (req, res) =>
+  res
+    .clearCookie('token', cookieOptions(req))
+    .clearCookie('refreshToken', cookieOptions(req, { path: REFRESH_COOKIE_PATH }));
+
+// Send a session's access token and refresh token as cookies (and in the body for clients without cookies)
+const sendSessionTokens = (user, session, refreshToken, statusCode, req, res, message) => {
+  const token = user.getSignedJwtToken(session._id);
+  const expiresAt = jwt.decode(token).exp * 1000;
 
   res
     .status(statusCode)
-    .cookie('token', token, options)
+    .cookie('token', token, cookieOptions(req, { maxAge: expiresAt - Date.now() }))
+    .cookie('refreshToken', refreshToken, cookieOptions(req, { maxAge: REFRESH_TOKEN_TTL_MS, path: REFRESH_COOKIE_PATH }))
     .json({
       success: true,
       message,
       token, // Still send in body for backward compatibility
+      refreshToken,
+      expiresAt: new Date(expiresAt),
       user: {
         id: user._id,
         fullName: user.fullName,
         email: user.email,
         phone: user.phone,
         country: user.country,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        profileComplete: user.profileComplete,
       },
     });
 };
 
+// Helper function to start a session and send its tokens
+const sendTokenResponse = async (user, statusCode, req, res, message = 'Success') => {
+  const { session, refreshToken } = await createSession(user, req);
+  sendSessionTokens(user, session, refreshToken, statusCode, req, res, message);
+};
+
+// Finish the first step of a login. Users with two-factor on get a short-lived challenge
+// token to exchange, with a code, at POST /api/auth/2fa/verify instead of a session.
+const finishLogin = async (user, method, req, res, message = 'Login successful') => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user, method)
+    });
+  }
+
+  await recordSuccess(req, user, method);
+  await sendTokenResponse(user, 200, req, res, message);
+};
+
 // @desc    Register user
 // @route   POST /api/auth/signup
 // @access  Public
@@ -48,11 +142,10 @@ exports.signup = async (req, res) => {
     }
 
     // Validate password strength
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
-    if (!passwordRegex.test(password)) {
+    if (!PASSWORD_REGEX.test(password)) {
       return res.status(400).json({
         success: false,
-        message: 'Password must contain at least 8 characters, including uppercase, lowercase, and number'
+        message: PASSWORD_MESSAGE
       });
     }
 
@@ -65,8 +158,11 @@ exports.signup = async (req, res) => {
       password
     });
 
+    await startEmailVerification(user);
+    await recordSuccess(req, user, 'signup');
+
     // Send token response with cookie
-    sendTokenResponse(user, 201, req, res, 'Account created successfully');
+    await sendTokenResponse(user, 201, req, res, 'Account created successfully. Please check your email to verify your address.');
   } catch (error) {
     console.error(error);
     res.status(500).json({
@@ -96,6 +192,17 @@ exports.login = async (req, res) => {
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await recordFailure(req, { email, method: 'password', reason: 'unknown_user' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // A locked account is turned away before the password is checked, so guessing gets nowhere.
+    // It gets the same answer as a wrong password, so a lockout doesn't reveal the account exists.
+    if (lockedUntil(user)) {
+      await recordFailure(req, { user, method: 'password', reason: 'locked' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -106,14 +213,22 @@ exports.login = async (req, res) => {
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      await recordFailure(req, { user, method: 'password', reason: 'invalid_password' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Send token response with cookie
-    sendTokenResponse(user, 200, req, res, 'Login successful');
+    if (user.disabled) {
+      await recordFailure(req, { user, method: 'password', reason: 'disabled' });
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been disabled.'
+      });
+    }
+
+    await finishLogin(user, 'password', req, res);
   } catch (error) {
     console.error(error);
     res.status(500).json({
@@ -138,7 +253,10 @@ exports.getMe = async (req, res) => {
         fullName: user.fullName,
         email: user.email,
         phone: user.phone,
-        country: user.country
+        country: user.country,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        profileComplete: user.profileComplete
       }
     });
   } catch (error) {
@@ -150,94 +268,640 @@ exports.getMe = async (req, res) => {
   }
 };
 
-// Helper: GET JSON via https without extra deps
-const httpsGetJson = (url) =>
-  new Promise((resolve, reject) => {
-    https
-      .get(url, (resp) => {
-        let data = '';
-        resp.on('data', (chunk) => (data += chunk));
-        resp.on('end', () => {
-          try {
-            const json = JSON.parse(data);
-            resolve(json);
-          } catch (e) {
-            reject(e);
-          }
-        });
-      })
-      .on('error', (err) => reject(err));
-  });
+// @desc    Give the phone number and country an account created through a provider is missing
+// @route   PUT /api/auth/complete-profile
+// @access  Private
+exports.completeProfile = async (req, res) => {
+  try {
+    const phone = typeof req.body.phone === 'string' ? req.body.phone.trim() : '';
+    const country = typeof req.body.country === 'string' ? req.body.country.trim() : '';
 
-// @desc    OAuth with Google ID token
-// @route   POST /api/auth/oauth/google
+    if (!phone || !country) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a phone number and country'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    user.phone = phone;
+    user.country = country;
+    user.profileComplete = true;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile completed',
+      user: {
+        id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        phone: user.phone,
+        country: user.country,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        profileComplete: user.profileComplete
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Complete a two-factor login with an authenticator or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token)
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const challenge = verifyChallengeToken(req.body.challengeToken);
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(challenge.userId);
+
+    if (!user || user.disabled || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    if (lockedUntil(user)) {
+      await recordFailure(req, { user, method: challenge.method, reason: 'locked', twoFactor: true });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    if (!(await verifySecondFactor(user._id, req.body))) {
+      await recordFailure(req, {
+        user,
+        method: challenge.method,
+        reason: 'invalid_two_factor',
+        twoFactor: true
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await recordSuccess(req, user, challenge.method, { twoFactor: true });
+    await sendTokenResponse(user, 200, req, res, 'Login successful');
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Get my sign-in attempts, newest first
+// @route   GET /api/auth/login-history?page=1&limit=20
+// @access  Private
+exports.getLoginHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user.id };
+
+    const [total, events] = await Promise.all([
+      LoginEvent.countDocuments(filter),
+      LoginEvent.find(filter).sort('-createdAt').skip(skip).limit(limit)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      history: events.map((e) => ({
+        id: e._id,
+        createdAt: e.createdAt,
+        method: e.method,
+        twoFactor: e.twoFactor,
+        success: e.success,
+        failureReason: e.failureReason,
+        ip: e.ip,
+        userAgent: e.userAgent,
+        device: e.device,
+        unusual: e.unusual
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie or body.refreshToken)
+exports.refreshToken = async (req, res) => {
+  try {
+    const token = (req.cookies && req.cookies.refreshToken) || req.body.refreshToken;
+    const { session, refreshToken, error, retry } = await rotateSession(token);
+
+    if (error) {
+      // Clearing now could wipe the cookies the parallel refresh just set
+      if (!retry) clearAuthCookies(req, res);
+      return res.status(401).json({
+        success: false,
+        message: error,
+        retry: Boolean(retry)
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || user.disabled) {
+      await revokeSession(session._id);
+      clearAuthCookies(req, res);
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    sendSessionTokens(user, session, refreshToken, 200, req, res, 'Token refreshed');
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// The session the caller proves they are signed in with: the one their refresh token is
+// current for, or else the one named in a valid access token
+const currentSessionId = async (req) => {
+  const refresh = (req.cookies && req.cookies.refreshToken) || req.body.refreshToken;
+  if (refresh) {
+    const session = await findSessionByToken(refresh);
+    if (session) return session._id;
+  }
+
+  let token = req.cookies && req.cookies.token;
+  if (!token && req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET).sid || null;
+  } catch (_) {
+    return null;
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
 // @access  Public
-exports.oauthGoogle = async (req, res) => {
+exports.logout = async (req, res) => {
+  try {
+    const sessionId = await currentSessionId(req);
+    if (sessionId) await revokeSession(sessionId, 'logout');
+
+    clearAuthCookies(req, res);
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    List my signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map((s) => ({
+        id: s._id,
+        device: s.device,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        current: String(s._id) === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Sign out one of my devices
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.deleteSession = async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id);
+    if (String(session._id) === req.sessionId) clearAuthCookies(req, res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Sign out all my devices, including this one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.deleteAllSessions = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+
+    clearAuthCookies(req, res);
+    res.status(200).json({
+      success: true,
+      message: 'All sessions revoked',
+      revoked
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase() }).select('+passwordResetExpire');
+
+    // Same response whether or not the account exists or was just sent a link, so addresses can't be probed
+    if (user && !user.disabled && !sentRecently(user.passwordResetExpire, User.PASSWORD_RESET_TTL_MS)) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendPasswordResetEmail(user, token);
+      } catch (err) {
+        console.error(`Error sending password reset email: ${err.message}`);
+        user.passwordResetToken = undefined;
+        user.passwordResetExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Set a new password with an emailed reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!PASSWORD_REGEX.test(password || '')) {
+      return res.status(400).json({
+        success: false,
+        message: PASSWORD_MESSAGE
+      });
+    }
+
+    // Clear the token as it is matched so each link works once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashToken(req.params.token),
+        passwordResetExpire: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpire: 1 } },
+      { new: true }
+    );
+
+    if (!user || user.disabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    user.hasPassword = true;
+    await user.save();
+
+    // Following the emailed link proves the address as well
+    if (!user.emailVerified) await completeEmailVerification(user);
+
+    // Whoever knew the old password is signed out everywhere, and a lockout
+    // is lifted now that the owner has proved they hold the address
+    await revokeAllSessions(user._id, 'password_reset');
+    await clearFailures(user._id);
+
+    await finishLogin(user, 'password_reset', req, res, 'Password reset successful');
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Verify email address with an emailed token
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    await completeEmailVerification(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+emailVerificationExpire');
+    if (sentRecently(user.emailVerificationExpire, User.EMAIL_VERIFICATION_TTL_MS)) {
+      return res.status(429).json({
+        success: false,
+        message: 'A verification email was just sent. Please wait a minute before asking again.'
+      });
+    }
+
+    if (!(await startEmailVerification(user))) {
+      return res.status(500).json({
+        success: false,
+        message: 'Verification email could not be sent. Please try again later.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// New account for a provider identity nobody has signed in with. The random password is never
+// shown; the owner can set a real one with a reset link. Phone and country come later.
+const createOAuthUser = async (profile) => {
+  const user = await User.create({
+    fullName: profile.name || `${PROVIDER_NAMES[profile.provider]} User`,
+    email: profile.email,
+    password: crypto.randomBytes(16).toString('hex') + 'Aa1',
+    hasPassword: false,
+    profileComplete: false,
+    providers: [{ provider: profile.provider, providerId: profile.providerId, email: profile.email }],
+    emailVerified: profile.emailVerified,
+    emailVerifiedAt: profile.emailVerified ? new Date() : undefined
+  });
+
+  if (!user.emailVerified) await startEmailVerification(user);
+  return user;
+};
+
+// Email the owner of an existing account a link to confirm adding the provider identity
+const startProviderLink = async (user, profile) => {
+  const token = user.createProviderLinkToken(profile);
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendProviderLinkEmail(user, PROVIDER_NAMES[profile.provider], token);
+  } catch (err) {
+    console.error(`Error sending provider link email: ${err.message}`);
+  }
+};
+
+// Sign in with a provider access token. Linked identities sign straight in and new
+// emails get a new account. An email that already has an account is never merged
+// silently: its owner must confirm from their inbox, or link while signed in.
+const oauthLogin = (provider) => async (req, res) => {
+  const name = PROVIDER_NAMES[provider];
+
   try {
-    // We now expect accessToken
     const { accessToken } = req.body;
     if (!accessToken) {
       return res.status(400).json({ success: false, message: 'Missing accessToken' });
     }
-    
-    // Verify accessToken and get user info
-    const userInfo = await httpsGetJson(
-      `https://www.googleapis.com/oauth2/v3/userinfo?access_token=${accessToken}`
-    );
 
-    if (userInfo.error || !userInfo.email) {
-      console.error('Google OAuth Error:', userInfo.error || 'No email in profile');
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid Google token or unauthorized access.',
-        details: userInfo.error_description || 'No email returned from Google'
+    if (!isConfigured(provider)) {
+      return res.status(501).json({ success: false, message: `${name} authentication is not configured` });
+    }
+
+    const { profile, error } = await fetchProfile(provider, accessToken);
+    if (error) {
+      console.error(`${name} OAuth Error:`, error);
+      return res.status(401).json({
+        success: false,
+        message: `Invalid ${name} token or unauthorized access.`,
+        details: error
       });
     }
 
-    const email = userInfo.email;
-    const fullName = userInfo.name || userInfo.given_name || 'Google User';
+    let user = await findByIdentity(provider, profile.providerId);
 
-    let user = await User.findOne({ email });
     if (!user) {
-      console.log(`Creating new Google user: ${email}`);
-      const randomPass = crypto.randomBytes(16).toString('hex') + 'Aa1';
-      user = await User.create({
-        fullName,
-        email,
-        phone: 'N/A',
-        country: 'Unknown',
-        password: randomPass,
+      if (!profile.email) {
+        return res.status(400).json({
+          success: false,
+          message: `Your ${name} account did not share an email address. Allow access to it or sign up with your email.`
+        });
+      }
+
+      const existing = await User.findOne({ email: profile.email });
+      if (existing) {
+        if (!existing.disabled) await startProviderLink(existing, profile);
+        return res.status(202).json({
+          success: true,
+          linkRequired: true,
+          message: `An account already uses this email. We have sent a link to it to confirm adding ${name} sign-in.`
+        });
+      }
+
+      console.log(`Creating new ${name} user: ${profile.email}`);
+      user = await createOAuthUser(profile);
+    } else if (!user.emailVerified && profile.emailVerified && profile.email === user.email) {
+      // The provider has confirmed the address for us
+      await completeEmailVerification(user);
+    }
+
+    if (user.disabled) {
+      await recordFailure(req, { user, method: provider, reason: 'disabled' });
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been disabled.'
       });
     }
-    
-    // Send token response with cookie
-    sendTokenResponse(user, 200, req, res, 'Login successful');
+
+    await finishLogin(user, provider, req, res);
   } catch (error) {
-    console.error('SERVER OAUTH ERROR (Google):', error);
+    console.error(`SERVER OAUTH ERROR (${name}):`, error);
     res.status(500).json({
       success: false,
-      message: 'Server error during Google authentication.',
+      message: `Server error during ${name} authentication.`,
       error: error.message,
     });
   }
 };
 
+// @desc    OAuth with Google accessToken
+// @route   POST /api/auth/oauth/google
+// @access  Public
+exports.oauthGoogle = oauthLogin('google');
+
 // @desc    OAuth with Facebook accessToken
 // @route   POST /api/auth/oauth/facebook
 // @access  Public
-exports.oauthFacebook = async (req, res) => {
+exports.oauthFacebook = oauthLogin('facebook');
+
+// @desc    Confirm linking a provider to my account with an emailed token, and sign in
+// @route   POST /api/auth/oauth/link/:token
+// @access  Public
+exports.confirmProviderLink = async (req, res) => {
   try {
-    const { accessToken } = req.body;
-    if (!accessToken) {
-      return res.status(400).json({ success: false, message: 'Missing accessToken' });
+    // Clear the token as it is matched so each link works once
+    const pending = await User.findOneAndUpdate(
+      {
+        providerLinkToken: User.hashToken(req.params.token),
+        providerLinkExpire: { $gt: new Date() }
+      },
+      { $unset: { providerLinkToken: 1, providerLinkExpire: 1, pendingProvider: 1 } }
+    ).select('+pendingProvider');
+
+    if (!pending || pending.disabled || !pending.pendingProvider) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link is invalid or has expired'
+      });
+    }
+
+    const error = await linkIdentity(pending._id, pending.pendingProvider);
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: error
+      });
     }
-    res.status(501).json({ success: false, message: 'Facebook authentication not implemented' });
+
+    const user = await User.findById(pending._id);
+
+    // Following the emailed link proves the address as well
+    if (!user.emailVerified) await completeEmailVerification(user);
+
+    await finishLogin(user, pending.pendingProvider.provider, req, res, 'Account linked successfully');
   } catch (error) {
-    console.error('SERVER OAUTH ERROR (Facebook):', error);
+    console.error(error);
     res.status(500).json({
       success: false,
-      message: 'Server error during Facebook authentication.',
-      error: error.message,
+      message: 'Server error. Please try again.'
     });
   }
 };
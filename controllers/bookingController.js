@@ -1,17 +1,66 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
+const Instructor = require('../models/Instructor');
+const {
+  DAY_MS,
+  toMinutes,
+  toTime,
+  toDay,
+  isWithinAvailability,
+  reserveSlot,
+  releaseSlot,
+  getOpenSlots
+} = require('../utils/scheduling');
+const {
+  RELEASES_SLOT,
+  getActor,
+  checkTransition,
+  applyTransition
+} = require('../utils/bookingStateMachine');
+const { consumeCredit, adjustCredits, refundBookingCredit } = require('../utils/credits');
+const { notifyBookingChange } = require('../utils/bookingNotifications');
+const { parseList, parseDateRange } = require('../utils/queryFilters');
+
+const BOOKING_STATUSES = Booking.schema.path('status').enumValues;
+const { LESSON_TYPES } = Instructor;
+
+// Longest range the availability endpoint will compute in one call
+const MAX_AVAILABILITY_DAYS = 31;
+
+// Learners and instructors can't move a lesson closer to its start than this
+const RESCHEDULE_CUTOFF_HOURS = Number(process.env.BOOKING_RESCHEDULE_CUTOFF_HOURS) || 24;
+
+// Learners who cancel later than this before the lesson lose the credit
+const CREDIT_REFUND_CUTOFF_HOURS = Number(process.env.CREDIT_REFUND_CUTOFF_HOURS) || 24;
 
 // @desc    Create new booking
 // @route   POST /api/bookings
 // @access  Private
 exports.createBooking = async (req, res) => {
   try {
-    const { date, startTime, lessonType, notes } = req.body;
+    const { date, startTime, lessonType = 'Standard Lesson', notes, instructorId } = req.body;
+
+    const day = toDay(date);
+    const start = toMinutes(startTime);
+    if (!day || start === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date and a start time in HH:mm format'
+      });
+    }
 
-    // Simple validation: Check if slot is taken (in a real app this would be more complex)
-    // For now, we just check if the user already has a booking at this time
+    const startsAt = new Date(day.getTime() + start * 60 * 1000);
+    if (startsAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lessons must be booked in the future'
+      });
+    }
+
+    // The learner can't be in two lessons at once
     const existingBooking = await Booking.findOne({
       user: req.user.id,
-      date: date,
+      date: day,
       startTime: startTime,
       status: { $ne: 'cancelled' }
     });
@@ -23,19 +72,142 @@ exports.createBooking = async (req, res) => {
         });
     }
 
-    const booking = await Booking.create({
-      user: req.user.id,
-      date,
-      startTime,
-      lessonType,
-      notes
-    });
+    // Use the chosen instructor, or the first one free for this slot
+    const candidates = instructorId
+      ? await Instructor.find({ _id: instructorId, active: true })
+      : await Instructor.find({ active: true, lessonTypes: lessonType }).sort('createdAt');
+
+    if (instructorId && !candidates.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instructor not found'
+      });
+    }
+
+    const bookingId = new mongoose.Types.ObjectId();
+    let instructor = null;
+    let duration;
+
+    for (const candidate of candidates) {
+      if (!candidate.lessonTypes.includes(lessonType)) continue;
+
+      const minutes = candidate.getLessonDuration(lessonType);
+      if (!isWithinAvailability(candidate, day, start, start + minutes)) continue;
+
+      // Atomic: fails if another booking for this instructor overlaps
+      if (await reserveSlot(candidate._id, day, start, start + minutes, bookingId)) {
+        instructor = candidate;
+        duration = minutes;
+        break;
+      }
+    }
+
+    if (!instructor) {
+      return res.status(409).json({
+        success: false,
+        message: 'This time slot is not available. Please choose another time.'
+      });
+    }
+
+    // Pay for the lesson with a prepaid credit
+    if (!(await consumeCredit(req.user.id, lessonType, bookingId))) {
+      await releaseSlot(instructor._id, day, bookingId);
+      return res.status(402).json({
+        success: false,
+        message: `You have no ${lessonType} credits left. Please buy a lesson package.`
+      });
+    }
+
+    let booking;
+    try {
+      booking = await Booking.create({
+        _id: bookingId,
+        user: req.user.id,
+        instructor: instructor._id,
+        date: day,
+        startTime,
+        endTime: toTime(start + duration),
+        duration,
+        startsAt,
+        endsAt: new Date(startsAt.getTime() + duration * 60 * 1000),
+        lessonType,
+        notes,
+        creditUsed: true
+      });
+    } catch (err) {
+      await releaseSlot(instructor._id, day, bookingId);
+      await adjustCredits(req.user.id, lessonType, 1, 'cancellation_refund', { booking: bookingId });
+      throw err;
+    }
 
     res.status(201).json({
       success: true,
       data: booking
     });
   } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error'
+    });
+  }
+};
+
+// @desc    Get open lesson slots
+// @route   GET /api/bookings/availability?from=2025-01-06&to=2025-01-12&lessonType=Standard%20Lesson&instructorId=
+// @access  Private
+exports.getAvailability = async (req, res) => {
+  try {
+    const { lessonType = 'Standard Lesson', instructorId } = req.query;
+    const from = toDay(req.query.from || new Date());
+    const to = toDay(req.query.to || (from && from.getTime() + 6 * DAY_MS));
+
+    if (!from || !to || to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid from/to date range'
+      });
+    }
+
+    if ((to - from) / DAY_MS >= MAX_AVAILABILITY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot exceed ${MAX_AVAILABILITY_DAYS} days`
+      });
+    }
+
+    const filter = { active: true, lessonTypes: String(lessonType) };
+    if (instructorId) filter._id = String(instructorId);
+
+    const instructors = await Instructor.find(filter).populate('user', 'fullName');
+
+    const data = [];
+    for (const instructor of instructors) {
+      const duration = instructor.getLessonDuration(lessonType);
+      data.push({
+        instructor: {
+          id: instructor._id,
+          fullName: instructor.user ? instructor.user.fullName : undefined
+        },
+        duration,
+        days: await getOpenSlots(instructor, from, to, duration)
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      lessonType,
+      data
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, message: 'Invalid instructor' });
+    }
     console.error(err);
     res.status(500).json({
       success: false,
@@ -45,7 +217,7 @@ exports.createBooking = async (req, res) => {
 };
 
 // @desc    Get my bookings
-// @route   GET /api/bookings?page=1&limit=10
+// @route   GET /api/bookings?status=confirmed,pending&lessonType=Night%20Driving&from=2025-01-01&to=2025-01-31&page=1&limit=10
 // @access  Private
 exports.getMyBookings = async (req, res) => {
   try {
@@ -54,10 +226,42 @@ exports.getMyBookings = async (req, res) => {
     const limit = parseInt(req.query.limit, 10) || 10;
     const skip = (page - 1) * limit;
 
+    const filter = { user: req.user.id };
+
+    if (req.query.status) {
+      filter.status = parseList(req.query.status, BOOKING_STATUSES);
+      if (!filter.status) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of ${BOOKING_STATUSES.join(', ')}`
+        });
+      }
+    }
+
+    if (req.query.lessonType) {
+      filter.lessonType = parseList(req.query.lessonType, LESSON_TYPES);
+      if (!filter.lessonType) {
+        return res.status(400).json({
+          success: false,
+          message: `Lesson type must be one of ${LESSON_TYPES.join(', ')}`
+        });
+      }
+    }
+
+    // Lesson days are stored as UTC midnight, so a plain date range matches whole days
+    const dates = parseDateRange(req.query.from, req.query.to);
+    if (dates === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    if (dates) filter.date = dates;
+
     // Get total count for pagination metadata
-    const total = await Booking.countDocuments({ user: req.user.id });
+    const total = await Booking.countDocuments(filter);
 
-    const bookings = await Booking.find({ user: req.user.id })
+    const bookings = await Booking.find(filter)
       .sort({ date: 1, startTime: 1 })
       .skip(skip)
       .limit(limit);
@@ -79,36 +283,289 @@ exports.getMyBookings = async (req, res) => {
   }
 };
 
+// Start of the lesson, for bookings created before startsAt was stored too
+const lessonStart = (booking) =>
+    booking.startsAt || new Date(toDay(booking.date).getTime() + (toMinutes(booking.startTime) || 0) * 60 * 1000);
+
+// Declines and staff cancellations always refund; learners must cancel inside the policy window
+const isCreditRefundable = (booking, event, actor) => {
+    if (event === 'decline' || actor !== 'learner') return true;
+    return lessonStart(booking) - new Date() >= CREDIT_REFUND_CUTOFF_HOURS * 60 * 60 * 1000;
+};
+
+// Load the booking and work out who is acting on it; sends the error response and returns {} on failure
+const loadBookingForChange = async (req, res) => {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+        res.status(404).json({
+            success: false,
+            message: 'Booking not found'
+        });
+        return {};
+    }
+
+    const instructor = booking.instructor ? await Instructor.findById(booking.instructor) : null;
+    const actor = getActor(booking, req.user, instructor);
+
+    return { booking, instructor, actor };
+};
+
+// Apply a state machine event to a booking, then give back the slot and credit when it frees them
+const changeStatus = async (req, res, event, { booking, actor }, updates) => {
+    const error = checkTransition(booking, event, actor);
+    if (error) {
+        return res.status(actor ? 400 : 401).json({
+            success: false,
+            message: error
+        });
+    }
+
+    const updated = await applyTransition(booking, event, actor, req.user._id, updates);
+    if (!updated) {
+        return res.status(409).json({
+            success: false,
+            message: 'This booking was changed by someone else. Please refresh and try again.'
+        });
+    }
+
+    let result = updated;
+    if (RELEASES_SLOT.includes(event)) {
+        if (updated.instructor) {
+            await releaseSlot(updated.instructor, updated.date, updated._id);
+        }
+        if (isCreditRefundable(booking, event, actor)) {
+            result = await refundBookingCredit(updated);
+        }
+    }
+
+    notifyBookingChange(result, event, actor);
+
+    res.status(200).json({
+        success: true,
+        data: result
+    });
+};
+
 // @desc    Cancel booking
 // @route   PUT /api/bookings/:id/cancel
 // @access  Private
 exports.cancelBooking = async (req, res) => {
     try {
-        let booking = await Booking.findById(req.params.id);
+        const context = await loadBookingForChange(req, res);
+        if (!context.booking) return;
 
-        if (!booking) {
-            return res.status(404).json({
+        await changeStatus(req, res, 'cancel', context);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            success: false,
+            message: 'Server Error'
+        });
+    }
+};
+
+// @desc    Confirm a pending booking
+// @route   PUT /api/bookings/:id/confirm
+// @access  Private/Instructor
+exports.confirmBooking = async (req, res) => {
+    try {
+        const context = await loadBookingForChange(req, res);
+        if (!context.booking) return;
+
+        await changeStatus(req, res, 'confirm', context);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            success: false,
+            message: 'Server Error'
+        });
+    }
+};
+
+// @desc    Decline a pending booking
+// @route   PUT /api/bookings/:id/decline
+// @access  Private/Instructor
+exports.declineBooking = async (req, res) => {
+    try {
+        const context = await loadBookingForChange(req, res);
+        if (!context.booking) return;
+
+        await changeStatus(req, res, 'decline', context, { declineReason: req.body.reason });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            success: false,
+            message: 'Server Error'
+        });
+    }
+};
+
+// @desc    Mark a confirmed lesson as a no-show
+// @route   PUT /api/bookings/:id/no-show
+// @access  Private/Instructor
+exports.markNoShow = async (req, res) => {
+    try {
+        const context = await loadBookingForChange(req, res);
+        if (!context.booking) return;
+
+        if (lessonStart(context.booking) > new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A lesson can only be marked as a no-show after it has started'
+            });
+        }
+
+        await changeStatus(req, res, 'noShow', context);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            success: false,
+            message: 'Server Error'
+        });
+    }
+};
+
+// @desc    Move a booking to a new date/time with the same instructor
+// @route   PUT /api/bookings/:id/reschedule
+// @access  Private
+exports.rescheduleBooking = async (req, res) => {
+    try {
+        const context = await loadBookingForChange(req, res);
+        const { booking, instructor, actor } = context;
+        if (!booking) return;
+
+        const error = checkTransition(booking, 'reschedule', actor);
+        if (error) {
+            return res.status(actor ? 400 : 401).json({
                 success: false,
-                message: 'Booking not found'
+                message: error
             });
         }
 
-        // Make sure user owns booking
-        if (booking.user.toString() !== req.user.id) {
-            return res.status(401).json({
+        // Admins can always move a lesson; everyone else must respect the cutoff
+        const cutoffMs = RESCHEDULE_CUTOFF_HOURS * 60 * 60 * 1000;
+        if (actor !== 'admin' && lessonStart(booking) - new Date() < cutoffMs) {
+            return res.status(400).json({
                 success: false,
-                message: 'Not authorized to cancel this booking'
+                message: `Bookings can't be rescheduled less than ${RESCHEDULE_CUTOFF_HOURS} hours before the lesson`
             });
         }
 
-        booking = await Booking.findByIdAndUpdate(req.params.id, { status: 'cancelled' }, {
-            new: true,
-            runValidators: true
+        if (!instructor) {
+            return res.status(400).json({
+                success: false,
+                message: 'This booking has no instructor. Please cancel it and book a new lesson.'
+            });
+        }
+
+        const day = toDay(req.body.date);
+        const start = toMinutes(req.body.startTime);
+        if (!day || start === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid date and a start time in HH:mm format'
+            });
+        }
+
+        // Reserving the slot the booking already holds would leave two reservations for it
+        const oldDay = toDay(booking.date);
+        const oldStart = toMinutes(booking.startTime);
+        if (oldDay.getTime() === day.getTime() && oldStart === start) {
+            return res.status(400).json({
+                success: false,
+                message: 'The booking is already at this date and time'
+            });
+        }
+
+        const end = start + booking.duration;
+        const startsAt = new Date(day.getTime() + start * 60 * 1000);
+        if (startsAt <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Lessons must be booked in the future'
+            });
+        }
+
+        if (!isWithinAvailability(instructor, day, start, end) ||
+            !(await reserveSlot(instructor._id, day, start, end, booking._id))) {
+            return res.status(409).json({
+                success: false,
+                message: 'This time slot is not available. Please choose another time.'
+            });
+        }
+
+        const updated = await applyTransition(booking, 'reschedule', actor, req.user._id, {
+            date: day,
+            startTime: toTime(start),
+            endTime: toTime(end),
+            startsAt,
+            endsAt: new Date(startsAt.getTime() + booking.duration * 60 * 1000),
+            reminders: { dayBeforeSent: false, hourBeforeSent: false }
         });
 
+        if (!updated) {
+            await releaseSlot(instructor._id, day, booking._id, start);
+            return res.status(409).json({
+                success: false,
+                message: 'This booking was changed by someone else. Please refresh and try again.'
+            });
+        }
+
+        // Give the old time back
+        await releaseSlot(instructor._id, oldDay, booking._id, oldStart);
+
+        notifyBookingChange(updated, 'reschedule', actor);
+
+        res.status(200).json({
+            success: true,
+            data: updated
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({
+            success: false,
+            message: 'Server Error'
+        });
+    }
+};
+
+// @desc    Get bookings for the signed-in instructor
+// @route   GET /api/bookings/teaching?status=pending&page=1&limit=10
+// @access  Private/Instructor
+exports.getTeachingBookings = async (req, res) => {
+    try {
+        const instructor = await Instructor.findOne({ user: req.user.id });
+
+        if (!instructor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Instructor profile not found'
+            });
+        }
+
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 10;
+        const skip = (page - 1) * limit;
+
+        const filter = { instructor: instructor._id };
+        if (req.query.status) filter.status = String(req.query.status);
+
+        const total = await Booking.countDocuments(filter);
+
+        const bookings = await Booking.find(filter)
+            .populate('user', 'fullName email phone')
+            .sort({ date: 1, startTime: 1 })
+            .skip(skip)
+            .limit(limit);
+
         res.status(200).json({
             success: true,
-            data: booking
+            count: bookings.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: bookings
         });
     } catch (err) {
         console.error(err);
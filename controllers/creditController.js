@@ -0,0 +1,40 @@
+const CreditTransaction = require('../models/CreditTransaction');
+
+// @desc    Get my lesson credit balances and ledger
+// @route   GET /api/credits?lessonType=Standard%20Lesson&page=1&limit=20
+// @access  Private
+exports.getCredits = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user.id };
+    if (req.query.lessonType) filter.lessonType = String(req.query.lessonType);
+
+    const total = await CreditTransaction.countDocuments(filter);
+
+    const ledger = await CreditTransaction.find(filter)
+      .populate('booking', 'date startTime status')
+      .populate('payment', 'providerReference amount currency')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      balances: Object.fromEntries(req.user.lessonCredits || []),
+      count: ledger.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      ledger
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
@@ -1,7 +1,71 @@
 const Document = require('../models/Documents');
+const { SNOOZE_DAYS, daysUntil, documentStatus, statusExpiryRange } = require('../utils/reminderSchedule');
+const { verifyActionToken } = require('../utils/actionToken');
+const { containsPattern, parseList, parseDateRange, parseSort } = require('../utils/queryFilters');
+
+const STATUSES = Document.schema.path('status').enumValues;
+const SORT_FIELDS = ['createdAt', 'expiryDate', 'type', 'country'];
+
+// Mongo filter for the getDocuments query string, as of `now` in the user's timezone;
+// { error } if a parameter is invalid
+const buildDocumentFilter = (user, query, now = new Date()) => {
+  const filter = { user: user._id };
+  const conditions = [];
+
+  // The stored status can lag behind the one shown, so match the statuses' expiry dates instead
+  if (query.status) {
+    const statuses = parseList(query.status, STATUSES);
+    if (!statuses) return { error: `Status must be one of ${STATUSES.join(', ')}` };
+    conditions.push({
+      $or: statuses.$in.map((status) => ({ expiryDate: statusExpiryRange(status, now, user.timezone) }))
+    });
+  }
+  if (query.type) filter.type = String(query.type);
+  if (query.country) filter.country = String(query.country);
+
+  const expiry = parseDateRange(query.expiryFrom, query.expiryTo);
+  if (expiry === null) return { error: 'expiryFrom and expiryTo must be valid dates' };
+  if (expiry) filter.expiryDate = expiry;
+
+  if (query.q) {
+    const pattern = containsPattern(query.q);
+    conditions.push({ $or: [{ type: pattern }, { number: pattern }] });
+  }
+
+  if (conditions.length) filter.$and = conditions;
+  return { filter };
+};
+
+const MAX_SNOOZE_DAYS = 30;
+
+// Load the document named by a notification action token (?token= or body.token).
+// Sends the error response and returns null on failure.
+const loadActionDocument = async (req, res) => {
+  const action = verifyActionToken(req.query.token || req.body.token);
+
+  if (!action) {
+    res.status(401).json({
+      success: false,
+      message: 'This link is invalid or has expired'
+    });
+    return null;
+  }
+
+  const document = await Document.findOne({ _id: action.documentId, user: action.userId });
+
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      message: 'Document not found'
+    });
+    return null;
+  }
+
+  return document;
+};
 
 // @desc    Get all documents for logged in user
-// @route   GET /api/documents?page=1&limit=20
+// @route   GET /api/documents?status=expiring,expired&type=&country=&expiryFrom=&expiryTo=&q=&sort=expiryDate&page=1&limit=20
 // @access  Private
 exports.getDocuments = async (req, res) => {
   try {
@@ -10,14 +74,36 @@ exports.getDocuments = async (req, res) => {
     const limit = parseInt(req.query.limit, 10) || 20;
     const skip = (page - 1) * limit;
 
+    const now = new Date();
+    const { filter, error } = buildDocumentFilter(req.user, req.query, now);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const sort = req.query.sort ? parseSort(req.query.sort, SORT_FIELDS) : '-createdAt';
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of ${SORT_FIELDS.join(', ')}, optionally prefixed with -`
+      });
+    }
+
     // Get total count for pagination metadata
-    const total = await Document.countDocuments({ user: req.user.id });
+    const total = await Document.countDocuments(filter);
 
-    const documents = await Document.find({ user: req.user.id })
-      .sort('-createdAt')
+    const documents = await Document.find(filter)
+      .sort(sort)
       .skip(skip)
       .limit(limit);
 
+    // jobs/documentStatus keeps stored statuses current; recompute here so results are exact between runs
+    documents.forEach((doc) => {
+      doc.status = documentStatus(doc.expiryDate, now, req.user.timezone);
+    });
+
     res.status(200).json({
       success: true,
       count: documents.length,
@@ -35,6 +121,48 @@ exports.getDocuments = async (req, res) => {
   }
 };
 
+// @desc    Get counts by status and the next document to expire
+// @route   GET /api/documents/summary
+// @access  Private
+exports.getDocumentSummary = async (req, res) => {
+  try {
+    const now = new Date();
+    const documents = await Document.find({ user: req.user.id })
+      .select('country type number expiryDate')
+      .sort('expiryDate');
+
+    // Worked out from the expiry dates so the counts are exact as of now
+    const counts = { valid: 0, expiring: 0, expired: 0 };
+    documents.forEach((doc) => {
+      counts[documentStatus(doc.expiryDate, now, req.user.timezone)]++;
+    });
+
+    const next = documents.find((doc) => daysUntil(doc.expiryDate, now, req.user.timezone) >= 0);
+
+    res.status(200).json({
+      success: true,
+      total: documents.length,
+      counts,
+      nextToExpire: next
+        ? {
+          _id: next._id,
+          country: next.country,
+          type: next.type,
+          number: next.number,
+          expiryDate: next.expiryDate,
+          daysLeft: daysUntil(next.expiryDate, now, req.user.timezone)
+        }
+        : null
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
 // @desc    Add new document
 // @route   POST /api/documents
 // @access  Private
@@ -43,7 +171,9 @@ exports.addDocument = async (req, res) => {
     // Add user to req.body
     req.body.user = req.user.id;
 
-    const document = await Document.create(req.body);
+    const document = new Document(req.body);
+    document.$locals.owner = req.user;
+    await document.save();
 
     res.status(201).json({
       success: true,
@@ -83,6 +213,7 @@ exports.updateDocument = async (req, res) => {
     }
 
     Object.assign(document, req.body);
+    document.$locals.owner = req.user;
     await document.save();
 
     res.status(200).json({
@@ -134,4 +265,141 @@ exports.deleteDocument = async (req, res) => {
       message: 'Server error. Please try again.'
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Pause reminders for a document
+// @route   POST /api/documents/:id/snooze
+// @access  Private
+exports.snoozeDocument = async (req, res) => {
+  try {
+    const days = req.body.days === undefined ? SNOOZE_DAYS : Number(req.body.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SNOOZE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Snooze must be a whole number of days between 1 and ${MAX_SNOOZE_DAYS}`
+      });
+    }
+
+    const document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    // Make sure user owns document
+    if (document.user.toString() !== req.user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to update this document'
+      });
+    }
+
+    const snoozedUntil = document.snoozeReminders(days);
+    await document.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Reminders snoozed for ${days} day${days !== 1 ? 's' : ''}`,
+      snoozedUntil
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Snooze a document's reminders from a push notification action
+// @route   POST /api/documents/actions/snooze?token=
+// @access  Public (action token)
+exports.snoozeWithToken = async (req, res) => {
+  try {
+    const document = await loadActionDocument(req, res);
+    if (!document) return;
+
+    const snoozedUntil = document.snoozeReminders(SNOOZE_DAYS);
+    await document.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Reminders snoozed for ${SNOOZE_DAYS} days`,
+      snoozedUntil
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Get the document being renewed from a push notification action
+// @route   GET /api/documents/actions/renew?token=
+// @access  Public (action token)
+exports.getRenewalDocument = async (req, res) => {
+  try {
+    const document = await loadActionDocument(req, res);
+    if (!document) return;
+
+    res.status(200).json({
+      success: true,
+      document: {
+        _id: document._id,
+        country: document.country,
+        type: document.type,
+        number: document.number,
+        expiryDate: document.expiryDate,
+        status: document.status
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Enter a renewed document's new expiry date from a push notification action
+// @route   POST /api/documents/actions/renew?token=
+// @access  Public (action token)
+exports.renewWithToken = async (req, res) => {
+  try {
+    const document = await loadActionDocument(req, res);
+    if (!document) return;
+
+    const expiryDate = new Date(req.body.expiryDate);
+
+    if (!req.body.expiryDate || isNaN(expiryDate) || expiryDate <= document.expiryDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a new expiry date later than the current one'
+      });
+    }
+
+    document.expiryDate = expiryDate;
+    if (req.body.issueDate) document.issueDate = req.body.issueDate;
+    if (req.body.number) document.number = req.body.number;
+    await document.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Document updated successfully',
+      document
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
@@ -0,0 +1,190 @@
+const Instructor = require('../models/Instructor');
+const User = require('../models/user');
+const { toDay, toMinutes } = require('../utils/scheduling');
+
+// Fields an instructor may set on their own profile
+const pickScheduleFields = (body) => {
+  const fields = {};
+  ['bio', 'lessonTypes', 'weeklyAvailability', 'lessonDurations'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (Array.isArray(body.blackoutDates)) {
+    fields.blackoutDates = body.blackoutDates.map((b) => ({
+      date: toDay(b.date || b),
+      reason: b.reason
+    }));
+  }
+  return fields;
+};
+
+// Every weekly window must end after it starts
+const invalidWindow = (windows = []) =>
+  windows.find((w) => toMinutes(w.startTime) === null || toMinutes(w.endTime) <= toMinutes(w.startTime));
+
+const saveProfile = async (instructor, body, res) => {
+  const fields = pickScheduleFields(body);
+
+  if (invalidWindow(fields.weeklyAvailability)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Each availability window needs a startTime before its endTime (HH:mm)'
+    });
+  }
+  if (fields.blackoutDates && fields.blackoutDates.some((b) => !b.date)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Blackout dates must be valid dates'
+    });
+  }
+
+  Object.assign(instructor, fields);
+  await instructor.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Instructor profile updated successfully',
+    instructor
+  });
+};
+
+const handleError = (error, res) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error. Please try again.'
+  });
+};
+
+// @desc    List active instructors
+// @route   GET /api/instructors?lessonType=Night%20Driving
+// @access  Private
+exports.getInstructors = async (req, res) => {
+  try {
+    const filter = { active: true };
+    if (req.query.lessonType) filter.lessonTypes = String(req.query.lessonType);
+
+    const instructors = await Instructor.find(filter)
+      .select('-blackoutDates')
+      .populate('user', 'fullName');
+
+    res.status(200).json({
+      success: true,
+      count: instructors.length,
+      instructors
+    });
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+// @desc    Create an instructor profile for a user (and give them the instructor role)
+// @route   POST /api/instructors
+// @access  Private/Admin
+exports.createInstructor = async (req, res) => {
+  try {
+    const user = await User.findById(req.body.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (await Instructor.exists({ user: user._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user already has an instructor profile'
+      });
+    }
+
+    const fields = pickScheduleFields(req.body);
+    if (invalidWindow(fields.weeklyAvailability)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each availability window needs a startTime before its endTime (HH:mm)'
+      });
+    }
+
+    const instructor = await Instructor.create({ ...fields, user: user._id });
+
+    // Only plain users are promoted; admins keep their role
+    await User.updateOne({ _id: user._id, role: 'user' }, { role: 'instructor' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Instructor created successfully',
+      instructor
+    });
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+// @desc    Get my instructor profile
+// @route   GET /api/instructors/me
+// @access  Private/Instructor
+exports.getMyProfile = async (req, res) => {
+  try {
+    const instructor = await Instructor.findOne({ user: req.user.id });
+
+    if (!instructor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instructor profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      instructor
+    });
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+// @desc    Update my availability, blackout dates and lesson durations
+// @route   PUT /api/instructors/me
+// @access  Private/Instructor
+exports.updateMyProfile = async (req, res) => {
+  try {
+    const instructor = await Instructor.findOne({ user: req.user.id });
+
+    if (!instructor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instructor profile not found'
+      });
+    }
+
+    await saveProfile(instructor, req.body, res);
+  } catch (error) {
+    handleError(error, res);
+  }
+};
+
+// @desc    Update an instructor's profile or deactivate them
+// @route   PUT /api/instructors/:id
+// @access  Private/Admin
+exports.updateInstructor = async (req, res) => {
+  try {
+    const instructor = await Instructor.findById(req.params.id);
+
+    if (!instructor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Instructor not found'
+      });
+    }
+
+    if (typeof req.body.active === 'boolean') instructor.active = req.body.active;
+
+    await saveProfile(instructor, req.body, res);
+  } catch (error) {
+    handleError(error, res);
+  }
+};
@@ -0,0 +1,129 @@
+const LessonPackage = require('../models/LessonPackage');
+
+// Fields an admin may set on a package
+const pickPackageFields = (body) => {
+  const fields = {};
+  ['name', 'lessonType', 'credits', 'price', 'currency', 'active'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+};
+
+// @desc    List lesson packages
+// @route   GET /api/lesson-packages?lessonType=Standard%20Lesson
+// @access  Private
+exports.getLessonPackages = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.lessonType) filter.lessonType = String(req.query.lessonType);
+
+    // Only admins see inactive packages, and only when they ask for them
+    if (!(req.query.includeInactive === 'true' && req.user.role === 'admin')) {
+      filter.active = true;
+    }
+
+    const packages = await LessonPackage.find(filter).sort({ lessonType: 1, credits: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: packages.length,
+      packages
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Add lesson package
+// @route   POST /api/lesson-packages
+// @access  Private/Admin
+exports.createLessonPackage = async (req, res) => {
+  try {
+    const lessonPackage = await LessonPackage.create(pickPackageFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Lesson package added successfully',
+      package: lessonPackage
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Update lesson package
+// @route   PUT /api/lesson-packages/:id
+// @access  Private/Admin
+exports.updateLessonPackage = async (req, res) => {
+  try {
+    const lessonPackage = await LessonPackage.findById(req.params.id);
+
+    if (!lessonPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson package not found'
+      });
+    }
+
+    Object.assign(lessonPackage, pickPackageFields(req.body));
+    await lessonPackage.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Lesson package updated successfully',
+      package: lessonPackage
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Deactivate lesson package (kept for existing payments)
+// @route   DELETE /api/lesson-packages/:id
+// @access  Private/Admin
+exports.deleteLessonPackage = async (req, res) => {
+  try {
+    const lessonPackage = await LessonPackage.findByIdAndUpdate(
+      req.params.id,
+      { active: false },
+      { new: true }
+    );
+
+    if (!lessonPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesson package not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Lesson package deactivated successfully',
+      package: lessonPackage
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/user');
+
+// @desc    Get the VAPID public key for push subscriptions
+// @route   GET /api/notifications/public-key
+// @access  Public
+exports.getPublicKey = (req, res) => {
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY || '' });
+};
+
+// @desc    Save (or re-enable) a push subscription
+// @route   POST /api/notifications/subscribe
+// @access  Private
+exports.subscribe = async (req, res) => {
+  try {
+    const sub = req.body;
+    await User.updateOne(
+      { _id: req.user.id, 'pushSubscriptions.endpoint': { $ne: sub.endpoint } },
+      { $addToSet: { pushSubscriptions: { endpoint: sub.endpoint, keys: sub.keys, enabled: true } } }
+    );
+    await User.updateOne(
+      { _id: req.user.id, 'pushSubscriptions.endpoint': sub.endpoint },
+      { $set: { 'pushSubscriptions.$.keys': sub.keys, 'pushSubscriptions.$.enabled': true } }
+    );
+    res.status(201).json({ success: true });
+  } catch (e) {
+    res.status(500).json({ success: false });
+  }
+};
+
+// @desc    Disable a push subscription
+// @route   POST /api/notifications/opt-out
+// @access  Private
+exports.optOut = async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    await User.updateOne(
+      { _id: req.user.id, 'pushSubscriptions.endpoint': endpoint },
+      { $set: { 'pushSubscriptions.$.enabled': false } }
+    );
+    res.json({ success: true });
+  } catch (_) { res.status(500).json({ success: false }); }
+};
+
+// @desc    Get my notifications, newest first
+// @route   GET /api/notifications?unread=true&page=1&limit=20
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user.id };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const [total, unread, notifications] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user.id, readAt: null }),
+      Notification.find(filter).sort('-createdAt').skip(skip).limit(limit)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      unread,
+      page,
+      pages: Math.ceil(total / limit),
+      notifications
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// Set or clear readAt on one of the user's notifications
+const setRead = (read) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { readAt: read ? new Date() : null },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      notification
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+exports.markRead = setRead(true);
+
+// @desc    Mark a notification as unread
+// @route   PATCH /api/notifications/:id/unread
+// @access  Private
+exports.markUnread = setRead(false);
+
+// @desc    Mark all my notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+exports.markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
@@ -1,75 +1,501 @@
-const axios = require('axios');
 const Payment = require('../models/Payment');
 const Document = require('../models/Documents');
+const RenewalProduct = require('../models/RenewalProduct');
+const LessonPackage = require('../models/LessonPackage');
+const { adjustCredits, removeCredits } = require('../utils/credits');
+const { getProvider, generateReference, DEFAULT_PROVIDER } = require('../utils/paymentProviders');
+const writeReceipt = require('../utils/receipt');
 
-// @desc    Verify Paystack Payment
+// Extend the document's expiry by the purchased period: from today if expired, from current expiry otherwise.
+// Returns the saved document and the expiry it had before.
+const extendDocumentExpiry = async (documentId, years) => {
+    const document = await Document.findById(documentId);
+    if (!document) return {};
+
+    const previousExpiryDate = document.expiryDate;
+    const oldDate = new Date(document.expiryDate);
+    const now = new Date();
+    let newDate;
+
+    if (oldDate < now) {
+        newDate = new Date(now.setFullYear(now.getFullYear() + years));
+    } else {
+        newDate = new Date(oldDate.setFullYear(oldDate.getFullYear() + years));
+    }
+
+    document.expiryDate = newDate;
+    document.status = 'valid';
+    await document.save();
+
+    return { document, previousExpiryDate };
+};
+
+// The provider must report exactly what we asked to charge
+const amountMismatch = (payment, transaction) => {
+    if (transaction.amount !== payment.amount) {
+        return `Amount mismatch: expected ${payment.amount}, got ${transaction.amount}`;
+    }
+    if (transaction.currency !== payment.currency) {
+        return `Currency mismatch: expected ${payment.currency}, got ${transaction.currency}`;
+    }
+    return null;
+};
+
+// Mark a pending payment as successful and deliver what was bought exactly once.
+// Returns { settled, document | balance } when this call settled it, { error } on a mismatch, or {} if already handled.
+const settlePayment = async (payment, transaction) => {
+    const mismatch = amountMismatch(payment, transaction);
+    if (mismatch) {
+        console.error(`[Payment] ${payment.providerReference}: ${mismatch}`);
+        await Payment.updateOne(
+            { _id: payment._id, status: 'pending' },
+            { status: 'failed', failureReason: mismatch, providerTransactionId: transaction.transactionId }
+        );
+        return { error: mismatch };
+    }
+
+    const settled = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: 'pending' },
+        {
+            status: 'success',
+            providerTransactionId: transaction.transactionId,
+            paidAt: transaction.paidAt || new Date()
+        },
+        { new: true }
+    );
+
+    if (!settled) return {};
+
+    if (settled.type === 'lesson_package') {
+        const balance = await adjustCredits(settled.user, settled.lessonType, settled.credits, 'purchase', {
+            payment: settled._id
+        });
+        return { settled: true, balance };
+    }
+
+    const { document, previousExpiryDate } = await extendDocumentExpiry(settled.document, settled.validityYears);
+
+    if (document) {
+        await Payment.updateOne(
+            { _id: settled._id },
+            { previousExpiryDate, newExpiryDate: document.expiryDate }
+        );
+    }
+
+    return { settled: true, document };
+};
+
+// Mark a pending payment as failed (e.g. declined card)
+const failPayment = async (reference, reason) => {
+    await Payment.updateOne(
+        { providerReference: reference, status: 'pending' },
+        { status: 'failed', failureReason: reason || 'Charge failed' }
+    );
+};
+
+const refundedTotal = (payment) => payment.refunds.reduce((total, refund) => total + refund.amount, 0);
+
+// Record a refund of a successful payment. Partial refunds are only recorded, leaving what was
+// delivered in place; once refunds cover the whole amount (or the provider doesn't say how much),
+// the payment is marked refunded and what it delivered (expiry extension or lesson credits) is undone.
+const refundPayment = async (reference, { refundId, amount } = {}) => {
+    let current = await Payment.findOne({ providerReference: reference, status: 'success' });
+    if (!current) return null;
+
+    if (amount) {
+        // The provider retries webhooks, so each refund is recorded once
+        const filter = { _id: current._id, status: 'success' };
+        if (refundId) filter['refunds.refundId'] = { $ne: refundId };
+
+        current = await Payment.findOneAndUpdate(
+            filter,
+            { $push: { refunds: { refundId, amount, refundedAt: new Date() } } },
+            { new: true }
+        ) || current;
+
+        if (refundedTotal(current) < current.amount) return current;
+    }
+
+    const payment = await Payment.findOneAndUpdate(
+        { _id: current._id, status: 'success' },
+        { status: 'refunded', refundedAt: new Date() },
+        { new: true }
+    );
+    if (!payment) return current;
+
+    if (payment.type === 'lesson_package') {
+        // Credits already spent on lessons can't be taken back; keep a note of them
+        const { removed } = await removeCredits(payment.user, payment.lessonType, payment.credits, 'payment_refund', {
+            payment: payment._id
+        });
+        const shortfall = payment.credits - removed;
+        if (shortfall > 0) {
+            console.warn(`Refund of payment ${payment._id} left ${shortfall} used credit(s) unrecovered`);
+            payment.creditsShortfall = shortfall;
+            await Payment.updateOne({ _id: payment._id }, { creditsShortfall: shortfall });
+        }
+        return payment;
+    }
+
+    const document = await Document.findById(payment.document);
+    if (document && payment.previousExpiryDate && payment.newExpiryDate) {
+        const current = new Date(document.expiryDate).getTime();
+        const extended = new Date(payment.newExpiryDate).getTime();
+
+        // If the document was changed since (e.g. renewed again), only remove the time this payment added
+        document.expiryDate = current === extended
+            ? payment.previousExpiryDate
+            : new Date(current - (extended - new Date(payment.previousExpiryDate).getTime()));
+        await document.save();
+    }
+
+    return payment;
+};
+
+// Load an active product and check it can renew the given document
+const findProductForDocument = async (productId, document) => {
+    const product = await RenewalProduct.findOne({ _id: productId, active: true });
+    if (!product || !product.appliesTo(document)) return null;
+    return product;
+};
+
+// Work out what is being bought from the request body. Sends the error response and returns null on failure.
+const resolvePurchase = async (req, res) => {
+    const { documentId, productId, packageId } = req.body;
+
+    if (packageId) {
+        const lessonPackage = await LessonPackage.findOne({ _id: packageId, active: true });
+        if (!lessonPackage) {
+            res.status(404).json({ success: false, message: 'Lesson package not found' });
+            return null;
+        }
+        return {
+            type: 'lesson_package',
+            lessonPackage: lessonPackage._id,
+            lessonType: lessonPackage.lessonType,
+            credits: lessonPackage.credits,
+            amount: lessonPackage.price,
+            currency: lessonPackage.currency
+        };
+    }
+
+    if (!documentId || !productId) {
+        res.status(400).json({ success: false, message: 'Please provide a documentId and productId, or a packageId' });
+        return null;
+    }
+
+    const document = await Document.findById(documentId);
+    if (!document) {
+        res.status(404).json({ success: false, message: 'Document not found' });
+        return null;
+    }
+
+    if (document.user.toString() !== req.user.id) {
+        res.status(401).json({ success: false, message: 'Not authorized to renew this document' });
+        return null;
+    }
+
+    const product = await findProductForDocument(productId, document);
+    if (!product) {
+        res.status(400).json({ success: false, message: 'This renewal product is not available for this document' });
+        return null;
+    }
+
+    return {
+        type: 'renewal',
+        document: document._id,
+        product: product._id,
+        validityYears: product.validityYears,
+        amount: product.price,
+        currency: product.currency
+    };
+};
+
+// @desc    Initialize Payment for a document renewal or a lesson package
+// @route   POST /api/payments/initialize
+// @access  Private
+exports.initializePayment = async (req, res) => {
+    try {
+        const provider = getProvider(req.body.provider || DEFAULT_PROVIDER);
+        if (!provider || !provider.isConfigured()) {
+            return res.status(400).json({ success: false, message: 'This payment provider is not available' });
+        }
+
+        const purchase = await resolvePurchase(req, res);
+        if (!purchase) return;
+
+        const reference = generateReference();
+
+        const payment = await Payment.create({
+            ...purchase,
+            user: req.user.id,
+            provider: provider.name,
+            providerReference: reference,
+            status: 'pending'
+        });
+
+        const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+        const checkout = await provider.initialize({
+            email: req.user.email,
+            amount: payment.amount,
+            currency: payment.currency,
+            reference,
+            callbackUrl: `${clientUrl.replace(/\/$/, '')}/payments/callback`,
+            metadata: {
+                paymentId: String(payment._id),
+                type: payment.type,
+                userId: String(req.user._id)
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            provider: provider.name,
+            authorizationUrl: checkout.checkoutUrl,
+            accessCode: checkout.accessCode,
+            reference
+        });
+    } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(400).json({ success: false, message: 'Invalid id' });
+        }
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Payment initialization failed' });
+    }
+};
+
+// @desc    Verify Payment
 // @route   POST /api/payments/verify
 // @access  Private
 exports.verifyPayment = async (req, res) => {
     try {
-        const { reference, documentId } = req.body;
+        const { reference, documentId, productId } = req.body;
         console.log(`[Payment] Verify Request - Ref: ${reference}, Doc: ${documentId}`);
 
-        // Verify with Paystack
-        const secretKey = process.env.PAYSTACK_SECRET_KEY;
-        if (!secretKey) {
-             console.error("[Payment] Missing PAYSTACK_SECRET_KEY");
-             throw new Error('Paystack secret key not configured');
+        if (!reference) {
+            return res.status(400).json({ success: false, message: 'Please provide a payment reference' });
         }
 
-        const paystackRes = await axios.get(`https://api.paystack.co/transaction/verify/${reference}`, {
-            headers: { Authorization: `Bearer ${secretKey}` }
-        });
+        let payment = await Payment.findOne({ providerReference: reference });
+
+        const provider = getProvider(payment ? payment.provider : req.body.provider || DEFAULT_PROVIDER);
+        if (!provider) {
+            return res.status(400).json({ success: false, message: 'This payment provider is not available' });
+        }
 
-        const data = paystackRes.data.data;
+        const transaction = await provider.verify(reference);
 
-        if (data.status !== 'success') {
+        if (transaction.status !== 'success') {
              return res.status(400).json({ success: false, message: 'Payment verification failed' });
         }
 
-        // Check if we already recorded this
-        const existingPayment = await Payment.findOne({ paystackReference: reference });
-        if (existingPayment) {
+        // Payments started from the inline popup have no pending record yet
+        if (!payment) {
+            if (!documentId || !productId) {
+                return res.status(400).json({ success: false, message: 'Please provide a documentId and productId' });
+            }
+            const document = await Document.findOne({ _id: documentId, user: req.user.id });
+            if (!document) {
+                return res.status(404).json({ success: false, message: 'Document not found' });
+            }
+            const product = await findProductForDocument(productId, document);
+            if (!product) {
+                return res.status(400).json({ success: false, message: 'This renewal product is not available for this document' });
+            }
+            payment = await Payment.create({
+                user: req.user.id,
+                document: document._id,
+                product: product._id,
+                validityYears: product.validityYears,
+                amount: product.price,
+                currency: product.currency,
+                provider: provider.name,
+                providerReference: reference,
+                status: 'pending'
+            });
+        }
+
+        if (payment.user.toString() !== req.user.id) {
+            return res.status(401).json({ success: false, message: 'Not authorized to verify this payment' });
+        }
+
+        const { settled, document, balance, error } = await settlePayment(payment, transaction);
+        if (error) {
+            return res.status(400).json({ success: false, message: 'Payment amount or currency does not match the price' });
+        }
+        if (!settled) {
             return res.status(200).json({ success: true, message: 'Already processed' });
         }
 
-        // Record payment
-        await Payment.create({
-            user: req.user.id,
-            document: documentId,
-            amount: data.amount,
-            currency: data.currency,
-            paystackReference: reference,
-            paystackTransactionId: String(data.id),
-            status: 'success'
+        if (payment.type === 'lesson_package') {
+            return res.status(200).json({
+                success: true,
+                lessonType: payment.lessonType,
+                balance
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            document
         });
 
-        // Update Document Expiry (Add 1 year)
-        const document = await Document.findById(documentId);
-        if (!document) return res.status(404).json({ success: false, message: 'Document not found' });
+    } catch (err) {
+        console.error(err);
+         res.status(500).json({ success: false, message: 'Verification failed' });
+    }
+};
 
-        const oldDate = new Date(document.expiryDate);
-        const now = new Date();
-        let newDate;
-        
-        // Logic: if expired, 1 year from now. If valid, 1 year from current expiry.
-        if (oldDate < now) {
-            newDate = new Date(now.setFullYear(now.getFullYear() + 1));
-        } else {
-             newDate = new Date(oldDate.setFullYear(oldDate.getFullYear() + 1));
+// @desc    Receive provider events and settle payments without the browser
+// @route   POST /api/payments/webhook/:provider (POST /api/payments/webhook is Paystack)
+// @access  Public (signed by the provider)
+exports.paymentWebhook = async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider || 'paystack');
+        if (!provider) {
+            return res.status(404).json({ success: false, message: 'Unknown payment provider' });
         }
 
-        document.expiryDate = newDate;
-        document.status = 'valid'; 
-        await document.save();
+        const event = provider.parseWebhook(req);
+        if (!event) {
+            return res.status(401).json({ success: false, message: 'Invalid signature' });
+        }
+
+        console.log(`[Payment] Webhook (${provider.name}) - Event: ${event.type}, Ref: ${event.reference}`);
+
+        if (event.type === 'charge.success' && event.reference) {
+            const payment = await Payment.findOne({ provider: provider.name, providerReference: event.reference });
+            if (payment) {
+                await settlePayment(payment, event.transaction);
+            } else {
+                console.warn(`[Payment] Webhook for unknown reference: ${event.reference}`);
+            }
+        } else if (event.type === 'charge.failed' && event.reference) {
+            await failPayment(event.reference, event.transaction.message);
+        } else if (event.type === 'refund.processed' && event.reference) {
+            if (!(await refundPayment(event.reference, event.refund))) {
+                console.warn(`[Payment] Refund for unknown or unsettled reference: ${event.reference}`);
+            }
+        }
+
+        // Always acknowledge so the provider stops retrying
+        res.status(200).json({ success: true });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Webhook processing failed' });
+    }
+};
+
+// @desc    Refund a payment through its provider
+// @route   POST /api/payments/:id/refund
+// @access  Private/Admin
+exports.refundPaymentById = async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({ success: false, message: 'Payment not found' });
+        }
+
+        if (payment.status !== 'success') {
+            return res.status(400).json({ success: false, message: 'Only successful payments can be refunded' });
+        }
+
+        const provider = getProvider(payment.provider);
+        const result = await provider.refund({
+            reference: payment.providerReference,
+            transactionId: payment.providerTransactionId,
+            amount: payment.amount - refundedTotal(payment) // what earlier partial refunds left
+        });
+
+        // Some providers settle refunds immediately; the rest confirm through the webhook
+        if (result.processed) {
+            await refundPayment(payment.providerReference);
+        }
 
         res.status(200).json({
             success: true,
-            document
+            message: result.processed ? 'Payment refunded' : 'Refund requested',
+            data: await Payment.findById(payment._id)
         });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Refund failed' });
+    }
+};
 
+// @desc    Get my payments
+// @route   GET /api/payments?page=1&limit=10&document=<id>&status=success
+// @access  Private
+exports.getMyPayments = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 10;
+        const skip = (page - 1) * limit;
+
+        const filter = { user: req.user.id };
+        if (req.query.document) filter.document = String(req.query.document);
+        if (req.query.status) {
+            if (!Payment.schema.path('status').enumValues.includes(req.query.status)) {
+                return res.status(400).json({ success: false, message: 'Invalid status filter' });
+            }
+            filter.status = req.query.status;
+        }
+
+        const total = await Payment.countDocuments(filter);
+
+        const payments = await Payment.find(filter)
+            .populate('document', 'type number country expiryDate')
+            .populate('product', 'name validityYears')
+            .populate('lessonPackage', 'name lessonType credits')
+            .sort('-date')
+            .skip(skip)
+            .limit(limit);
+
+        res.status(200).json({
+            success: true,
+            count: payments.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: payments
+        });
     } catch (err) {
+        if (err.name === 'CastError') {
+            return res.status(400).json({ success: false, message: 'Invalid document filter' });
+        }
         console.error(err);
-         res.status(500).json({ success: false, message: 'Verification failed' });
+        res.status(500).json({ success: false, message: 'Server Error' });
+    }
+};
+
+// @desc    Download PDF receipt for a payment
+// @route   GET /api/payments/:id/receipt
+// @access  Private
+exports.getReceipt = async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.id)
+            .populate('document', 'type number country')
+            .populate('product', 'name')
+            .populate('lessonPackage', 'name');
+
+        if (!payment) {
+            return res.status(404).json({ success: false, message: 'Payment not found' });
+        }
+
+        if (payment.user.toString() !== req.user.id) {
+            return res.status(401).json({ success: false, message: 'Not authorized to view this receipt' });
+        }
+
+        if (!['success', 'refunded'].includes(payment.status)) {
+            return res.status(400).json({ success: false, message: 'Receipts are only available for completed payments' });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="receipt-${payment.providerReference}.pdf"`);
+        writeReceipt(payment, req.user, res);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Could not generate receipt' });
     }
 };
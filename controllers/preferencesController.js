@@ -0,0 +1,174 @@
+const Document = require('../models/Documents');
+const User = require('../models/user');
+const {
+  DEFAULT_SCHEDULE,
+  normalizeSchedule
+} = require('../utils/reminderSchedule');
+const { CHANNELS, NOTIFICATION_TYPES, channelsFor } = require('../notifications');
+const { LOCALES } = require('../notifications/messages');
+const { isValidTimezone } = require('../utils/timezone');
+const { toMinutes } = require('../utils/scheduling');
+const { nextDigestAt } = require('../jobs/expiryNotifications');
+
+const DIGEST_MODES = ['off', 'daily', 'weekly'];
+
+const formatPreferences = (user) => ({
+  reminderSchedule: user.reminderSchedule && user.reminderSchedule.length ? user.reminderSchedule : DEFAULT_SCHEDULE,
+  notificationChannels: Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, channelsFor(user, type)])),
+  availableChannels: Object.keys(CHANNELS).filter((name) => CHANNELS[name].isConfigured()),
+  timezone: user.timezone,
+  locale: user.locale,
+  quietHours: user.quietHours && user.quietHours.start ? user.quietHours : null,
+  digest: {
+    mode: user.digest.mode,
+    hour: user.digest.hour,
+    weekday: user.digest.weekday,
+    nextDigestAt: user.digest.nextDigestAt
+  }
+});
+
+const isInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// @desc    Get my notification preferences
+// @route   GET /api/auth/preferences
+// @access  Private
+exports.getPreferences = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    preferences: formatPreferences(req.user)
+  });
+};
+
+// @desc    Update my notification preferences
+// @route   PUT /api/auth/preferences
+// @access  Private
+exports.updatePreferences = async (req, res) => {
+  try {
+    const updates = {};
+
+    // null resets to the app default
+    if (req.body.reminderSchedule !== undefined) {
+      const schedule = req.body.reminderSchedule === null ? [] : normalizeSchedule(req.body.reminderSchedule);
+      if (!schedule) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reminder schedule must be a list of whole days between 1 and 730'
+        });
+      }
+      updates.reminderSchedule = schedule;
+    }
+
+    // e.g. { documentExpiry: ['push', 'sms'] }; an empty list goes back to the default channels
+    const { notificationChannels } = req.body;
+    if (notificationChannels !== undefined) {
+      const valid = notificationChannels && typeof notificationChannels === 'object' &&
+        Object.entries(notificationChannels).every(([type, channels]) =>
+          NOTIFICATION_TYPES.includes(type) &&
+          Array.isArray(channels) &&
+          channels.every((c) => CHANNELS[c]));
+
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: `Notification channels must map ${NOTIFICATION_TYPES.join(', ')} to lists of ${Object.keys(CHANNELS).join(', ')}`
+        });
+      }
+
+      Object.entries(notificationChannels).forEach(([type, channels]) => {
+        updates[`notificationChannels.${type}`] = [...new Set(channels)];
+      });
+    }
+
+    if (req.body.timezone !== undefined) {
+      if (!isValidTimezone(req.body.timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Timezone must be an IANA timezone such as Africa/Lagos'
+        });
+      }
+      updates.timezone = req.body.timezone;
+    }
+
+    // e.g. { mode: 'weekly', hour: 8, weekday: 1 }; omitted fields keep their current value
+    const { digest } = req.body;
+    if (digest !== undefined) {
+      const valid = digest && typeof digest === 'object' &&
+        (digest.mode === undefined || DIGEST_MODES.includes(digest.mode)) &&
+        (digest.hour === undefined || isInRange(digest.hour, 0, 23)) &&
+        (digest.weekday === undefined || isInRange(digest.weekday, 0, 6));
+
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          message: `Digest mode must be one of ${DIGEST_MODES.join(', ')}, hour 0-23 and weekday 0-6 (0 = Sunday)`
+        });
+      }
+
+      ['mode', 'hour', 'weekday'].forEach((field) => {
+        if (digest[field] !== undefined) updates[`digest.${field}`] = digest[field];
+      });
+    }
+
+    if (req.body.locale !== undefined) {
+      if (!LOCALES.includes(req.body.locale)) {
+        return res.status(400).json({
+          success: false,
+          message: `Locale must be one of ${LOCALES.join(', ')}`
+        });
+      }
+      updates.locale = req.body.locale;
+    }
+
+    // { start: '22:00', end: '07:00' } in local time; null turns quiet hours off
+    const { quietHours } = req.body;
+    if (quietHours !== undefined) {
+      if (quietHours === null) {
+        updates.quietHours = {};
+      } else {
+        const valid = quietHours && typeof quietHours === 'object' &&
+          toMinutes(quietHours.start) !== null &&
+          toMinutes(quietHours.end) !== null &&
+          quietHours.start !== quietHours.end;
+
+        if (!valid) {
+          return res.status(400).json({
+            success: false,
+            message: 'Quiet hours need different start and end times in HH:mm format'
+          });
+        }
+        updates.quietHours = { start: quietHours.start, end: quietHours.end };
+      }
+    }
+
+    // Reschedule the next digest whenever its timing may have changed
+    if (digest !== undefined || updates.timezone) {
+      const current = req.user.digest;
+      const merged = {
+        mode: updates['digest.mode'] || current.mode,
+        hour: updates['digest.hour'] !== undefined ? updates['digest.hour'] : current.hour,
+        weekday: updates['digest.weekday'] !== undefined ? updates['digest.weekday'] : current.weekday
+      };
+      updates['digest.nextDigestAt'] = nextDigestAt(merged, updates.timezone || req.user.timezone);
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, updates, { new: true });
+
+    if (updates.timezone) {
+      await Document.refreshReminderTimes(user);
+    } else if (updates.reminderSchedule) {
+      await Document.refreshReminderTimes(user, { defaultScheduleOnly: true });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Preferences updated successfully',
+      preferences: formatPreferences(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
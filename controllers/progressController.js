@@ -0,0 +1,249 @@
+const Booking = require('../models/Booking');
+const Instructor = require('../models/Instructor');
+const LessonFeedback = require('../models/LessonFeedback');
+const { getActor } = require('../utils/bookingStateMachine');
+
+const { SKILLS, MASTERY_SCORE } = LessonFeedback;
+
+// Skills examined on the driving test; mastering all of them means the learner is test-ready
+const TEST_SKILLS = SKILLS.filter((s) => !['highway_merging', 'night_driving'].includes(s));
+
+// Load a completed booking and the caller's relation to it; sends the error response and returns {} on failure
+const loadCompletedBooking = async (req, res) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return {};
+  }
+
+  const instructor = booking.instructor ? await Instructor.findById(booking.instructor) : null;
+  const actor = getActor(booking, req.user, instructor);
+
+  if (!actor) {
+    res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this booking'
+    });
+    return {};
+  }
+
+  if (booking.status !== 'completed' || !booking.instructor) {
+    res.status(400).json({
+      success: false,
+      message: 'Feedback is only available for completed lessons'
+    });
+    return {};
+  }
+
+  return { booking, actor };
+};
+
+// @desc    Record instructor feedback for a completed lesson
+// @route   PUT /api/bookings/:id/feedback
+// @access  Private/Instructor
+exports.saveFeedback = async (req, res) => {
+  try {
+    const { booking, actor } = await loadCompletedBooking(req, res);
+    if (!booking) return;
+
+    if (actor === 'learner') {
+      return res.status(401).json({
+        success: false,
+        message: 'Only the instructor can record feedback for this lesson'
+      });
+    }
+
+    const { skills = [], comments } = req.body;
+
+    if (!Array.isArray(skills) || skills.some((s) => !SKILLS.includes(s.skill))) {
+      return res.status(400).json({
+        success: false,
+        message: `Skills must be chosen from: ${SKILLS.join(', ')}`
+      });
+    }
+
+    const feedback = await LessonFeedback.findOneAndUpdate(
+      { booking: booking._id },
+      {
+        $set: { skills, comments, updatedAt: new Date() },
+        $setOnInsert: { learner: booking.user, instructor: booking.instructor, lessonDate: booking.date }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Feedback saved successfully',
+      feedback
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Get feedback for a lesson
+// @route   GET /api/bookings/:id/feedback
+// @access  Private
+exports.getFeedback = async (req, res) => {
+  try {
+    const { booking } = await loadCompletedBooking(req, res);
+    if (!booking) return;
+
+    const feedback = await LessonFeedback.findOne({ booking: booking._id });
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        message: 'No feedback has been recorded for this lesson yet'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      feedback
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Rate the instructor after a completed lesson (once per lesson)
+// @route   POST /api/bookings/:id/rating
+// @access  Private
+exports.rateInstructor = async (req, res) => {
+  try {
+    const { booking, actor } = await loadCompletedBooking(req, res);
+    if (!booking) return;
+
+    if (actor !== 'learner') {
+      return res.status(401).json({
+        success: false,
+        message: 'Only the learner can rate this lesson'
+      });
+    }
+
+    const score = Number(req.body.score);
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a score from 1 to 5'
+      });
+    }
+
+    let feedback;
+    try {
+      feedback = await LessonFeedback.findOneAndUpdate(
+        { booking: booking._id, 'rating.score': { $exists: false } },
+        {
+          $set: { rating: { score, comment: req.body.comment, ratedAt: new Date() } },
+          $setOnInsert: { learner: booking.user, instructor: booking.instructor, lessonDate: booking.date }
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+    } catch (err) {
+      // The feedback exists and is already rated, so the upsert collided with it
+      if (err.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already rated this lesson'
+        });
+      }
+      throw err;
+    }
+
+    // Fold the new score into the instructor's running average
+    await Instructor.updateOne({ _id: booking.instructor }, [
+      {
+        $set: {
+          ratingAverage: {
+            $divide: [
+              { $add: [{ $multiply: ['$ratingAverage', '$ratingCount'] }, score] },
+              { $add: ['$ratingCount', 1] }
+            ]
+          },
+          ratingCount: { $add: ['$ratingCount', 1] }
+        }
+      }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you for rating your lesson',
+      rating: feedback.rating
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Get my skill mastery over time and test readiness
+// @route   GET /api/progress
+// @access  Private
+exports.getProgress = async (req, res) => {
+  try {
+    const feedbacks = await LessonFeedback.find({ learner: req.user.id })
+      .select('lessonDate skills')
+      .sort('lessonDate');
+
+    const completedLessons = await Booking.countDocuments({ user: req.user.id, status: 'completed' });
+
+    // Score history per skill, oldest first
+    const skills = {};
+    SKILLS.forEach((skill) => {
+      skills[skill] = { history: [], latestScore: null, bestScore: null, mastered: false };
+    });
+
+    feedbacks.forEach((f) => {
+      f.skills.forEach(({ skill, score }) => {
+        const entry = skills[skill];
+        entry.history.push({ date: f.lessonDate, score });
+        entry.latestScore = score;
+        entry.bestScore = Math.max(entry.bestScore || 0, score);
+        entry.mastered = score >= MASTERY_SCORE;
+      });
+    });
+
+    const masteredTestSkills = TEST_SKILLS.filter((s) => skills[s].mastered);
+    const remaining = TEST_SKILLS.filter((s) => !skills[s].mastered);
+
+    res.status(200).json({
+      success: true,
+      completedLessons,
+      assessedLessons: feedbacks.length,
+      skills,
+      readiness: {
+        percent: Math.round((masteredTestSkills.length / TEST_SKILLS.length) * 100),
+        ready: remaining.length === 0,
+        remainingSkills: remaining
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
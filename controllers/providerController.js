@@ -0,0 +1,154 @@
+const User = require('../models/user');
+const {
+  PROVIDERS,
+  PROVIDER_NAMES,
+  isConfigured,
+  fetchProfile,
+  linkIdentity
+} = require('../utils/oauthProviders');
+
+const formatProviders = (user) => ({
+  hasPassword: user.hasPassword,
+  providers: PROVIDERS.map((provider) => {
+    const linked = user.providers.find((p) => p.provider === provider);
+    return {
+      provider,
+      name: PROVIDER_NAMES[provider],
+      available: isConfigured(provider),
+      linked: Boolean(linked),
+      email: linked ? linked.email : undefined,
+      linkedAt: linked ? linked.linkedAt : undefined
+    };
+  })
+});
+
+// The provider named in the route, or null once a 404 has been sent
+const routeProvider = (req, res) => {
+  if (PROVIDERS.includes(req.params.provider)) return req.params.provider;
+  res.status(404).json({
+    success: false,
+    message: 'Unknown sign-in provider'
+  });
+  return null;
+};
+
+// @desc    List sign-in providers and which are linked to my account
+// @route   GET /api/auth/providers
+// @access  Private
+exports.getProviders = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      ...formatProviders(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Link a provider to my account with one of its access tokens
+// @route   POST /api/auth/providers/:provider
+// @access  Private
+exports.linkProvider = async (req, res) => {
+  try {
+    const provider = routeProvider(req, res);
+    if (!provider) return;
+
+    const { accessToken } = req.body;
+    if (!accessToken) {
+      return res.status(400).json({ success: false, message: 'Missing accessToken' });
+    }
+
+    if (!isConfigured(provider)) {
+      return res.status(501).json({
+        success: false,
+        message: `${PROVIDER_NAMES[provider]} authentication is not configured`
+      });
+    }
+
+    const { profile, error: tokenError } = await fetchProfile(provider, accessToken);
+    if (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: `Invalid ${PROVIDER_NAMES[provider]} token or unauthorized access.`,
+        details: tokenError
+      });
+    }
+
+    const error = await linkIdentity(req.user.id, profile);
+    if (error) {
+      return res.status(409).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `${PROVIDER_NAMES[provider]} linked`,
+      ...formatProviders(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Unlink a provider from my account
+// @route   DELETE /api/auth/providers/:provider
+// @access  Private
+exports.unlinkProvider = async (req, res) => {
+  try {
+    const provider = routeProvider(req, res);
+    if (!provider) return;
+
+    if (!req.user.providers.some((p) => p.provider === provider)) {
+      return res.status(404).json({
+        success: false,
+        message: `${PROVIDER_NAMES[provider]} is not linked to your account`
+      });
+    }
+
+    // Only unlink while another way to sign in is left, checked in the same update
+    const result = await User.updateOne(
+      {
+        _id: req.user.id,
+        'providers.provider': provider,
+        $or: [{ hasPassword: { $ne: false } }, { 'providers.1': { $exists: true } }]
+      },
+      { $pull: { providers: { provider } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password with "Forgot password" before unlinking your only way to sign in'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `${PROVIDER_NAMES[provider]} unlinked`,
+      ...formatProviders(user)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
@@ -0,0 +1,147 @@
+const RenewalProduct = require('../models/RenewalProduct');
+
+// Case-insensitive matching on country and document type
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Fields an admin may set on a product
+const pickProductFields = (body) => {
+  const fields = {};
+  ['country', 'documentType', 'validityYears', 'price', 'currency', 'name', 'active'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+};
+
+// @desc    List renewal products (optionally for one country / document type)
+// @route   GET /api/renewal-products?country=Nigeria&documentType=Passport
+// @access  Private
+exports.getRenewalProducts = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.country) filter.country = String(req.query.country);
+    if (req.query.documentType) filter.documentType = String(req.query.documentType);
+
+    // Only admins see inactive products, and only when they ask for them
+    if (!(req.query.includeInactive === 'true' && req.user.role === 'admin')) {
+      filter.active = true;
+    }
+
+    const products = await RenewalProduct.find(filter)
+      .collation(CASE_INSENSITIVE)
+      .sort({ country: 1, documentType: 1, validityYears: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      products
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Add renewal product
+// @route   POST /api/renewal-products
+// @access  Private/Admin
+exports.createRenewalProduct = async (req, res) => {
+  try {
+    const product = await RenewalProduct.create(pickProductFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Renewal product added successfully',
+      product
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product already exists for this country, document type and validity period'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Update renewal product
+// @route   PUT /api/renewal-products/:id
+// @access  Private/Admin
+exports.updateRenewalProduct = async (req, res) => {
+  try {
+    const product = await RenewalProduct.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Renewal product not found'
+      });
+    }
+
+    Object.assign(product, pickProductFields(req.body));
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Renewal product updated successfully',
+      product
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product already exists for this country, document type and validity period'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Deactivate renewal product (kept for existing payments)
+// @route   DELETE /api/renewal-products/:id
+// @access  Private/Admin
+exports.deleteRenewalProduct = async (req, res) => {
+  try {
+    const product = await RenewalProduct.findByIdAndUpdate(
+      req.params.id,
+      { active: false },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Renewal product not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Renewal product deactivated successfully',
+      product
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
@@ -0,0 +1,204 @@
+const QRCode = require('qrcode');
+const User = require('../models/user');
+const { generateSecret, verifyCode, otpauthUrl } = require('../utils/totp');
+const {
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'DriveDoc';
+
+// @desc    Get my two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+    res.status(200).json({
+      success: true,
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesLeft: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Start two-factor enrollment: returns the secret as an otpauth URI and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user.id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+    const uri = otpauthUrl(secret, req.user.email, ISSUER);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: uri,
+      qrCode: await QRCode.toDataURL(uri)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Confirm enrollment with a code and turn two-factor on
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: user.twoFactor.enabled
+          ? 'Two-factor authentication is already enabled'
+          : 'Start two-factor setup first'
+      });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyCode(secret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Please try again.'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': encryptSecret(secret),
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.recoveryCodes': hashes
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; each works once.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Turn two-factor off (needs a current code or a recovery code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user.id, req.body))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Please try again.'
+      });
+    }
+
+    await User.updateOne(
+      { _id: req.user.id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.enabledAt': 1,
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.recoveryCodes': 1
+        }
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
+
+// @desc    Replace my recovery codes (needs a current code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user.id, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Please try again.'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: req.user.id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error. Please try again.'
+    });
+  }
+};
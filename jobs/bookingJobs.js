@@ -0,0 +1,63 @@
+const Booking = require('../models/Booking');
+const { applyTransition } = require('../utils/bookingStateMachine');
+const { sendLessonReminder } = require('../utils/bookingNotifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A day-before reminder only goes out this far ahead; lessons booked or confirmed later
+// than that get just the hour-before one
+const DAY_BEFORE_MIN_MS = 20 * HOUR_MS;
+
+// Mark confirmed lessons that have ended as completed. Returns how many were updated.
+exports.completePastBookings = async (now = new Date()) => {
+  let completed = 0;
+
+  const cursor = Booking.find({ status: 'confirmed', endsAt: { $lte: now } }).cursor();
+  for await (const booking of cursor) {
+    if (await applyTransition(booking, 'complete', 'system', null)) {
+      completed++;
+    }
+  }
+
+  return completed;
+};
+
+// Push 24-hour and 1-hour reminders for confirmed lessons. Returns how many were sent and any send errors.
+// Each flag is claimed atomically before sending, so a reminder goes out once even if passes overlap.
+exports.sendLessonReminders = async (now = new Date()) => {
+  let sent = 0;
+  const errors = [];
+
+  const cursor = Booking.find({
+    status: 'confirmed',
+    startsAt: { $gt: now, $lte: new Date(now.getTime() + 24 * HOUR_MS) },
+    $or: [{ 'reminders.dayBeforeSent': { $ne: true } }, { 'reminders.hourBeforeSent': { $ne: true } }]
+  }).cursor();
+
+  for await (const booking of cursor) {
+    const withinHour = booking.startsAt - now <= HOUR_MS;
+    const type = withinHour ? 'hourBefore' : 'dayBefore';
+    const flag = `reminders.${type}Sent`;
+
+    // Inside the last hour the day-before reminder is no longer useful, so mark both
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'confirmed', [flag]: { $ne: true } },
+      { $set: withinHour ? { 'reminders.dayBeforeSent': true, [flag]: true } : { [flag]: true } }
+    );
+    if (!claimed) continue;
+
+    // Too close for a "tomorrow" reminder; the flag is claimed so the hour-before one still follows
+    if (!withinHour && booking.startsAt - now < DAY_BEFORE_MIN_MS) continue;
+
+    try {
+      const result = await sendLessonReminder(booking, type);
+      errors.push(...result.errors.map((e) => `${booking._id}: ${e}`));
+      sent++;
+    } catch (err) {
+      console.error(`Error sending lesson reminder: ${err.message}`);
+      errors.push(`${booking._id}: ${err.message}`);
+    }
+  }
+
+  return { sent, errors };
+};
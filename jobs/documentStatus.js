@@ -0,0 +1,60 @@
+const Document = require('../models/Documents');
+const User = require('../models/user');
+const { DAY_MS, documentStatus } = require('../utils/reminderSchedule');
+
+const BATCH_SIZE = parseInt(process.env.EXPIRY_NOTIFY_BATCH_SIZE, 10) || 100;
+
+// Recompute a batch of statuses in the owners' timezones and write only the ones that changed
+const refreshBatch = async (docs, now) => {
+  const userIds = [...new Set(docs.map((d) => String(d.user)))];
+  const users = await User.find({ _id: { $in: userIds } }).select('timezone');
+
+  const timezones = {};
+  users.forEach((u) => {
+    timezones[String(u._id)] = u.timezone;
+  });
+
+  const updates = docs
+    .map((doc) => ({ doc, status: documentStatus(doc.expiryDate, now, timezones[String(doc.user)]) }))
+    .filter(({ doc, status }) => status !== doc.status)
+    .map(({ doc, status }) => ({
+      updateOne: {
+        // Skip documents edited meanwhile; their save hook already set the status
+        filter: { _id: doc._id, status: doc.status, expiryDate: doc.expiryDate },
+        update: { $set: { status } }
+      }
+    }));
+
+  if (!updates.length) return 0;
+  const result = await Document.bulkWrite(updates);
+  return result.modifiedCount;
+};
+
+// Bring stored statuses up to date as expiry dates approach and pass.
+// Statuses only move forward with time, so only documents near a threshold are read;
+// a day's margin either side covers every timezone. Returns how many were updated.
+exports.refreshDocumentStatuses = async ({ now = new Date() } = {}) => {
+  let updated = 0;
+
+  const cursor = Document.find({
+    $or: [
+      { status: 'valid', expiryDate: { $lte: new Date(now.getTime() + 31 * DAY_MS) } },
+      { status: 'expiring', expiryDate: { $lt: new Date(now.getTime() + DAY_MS) } }
+    ]
+  })
+    .select('user expiryDate status')
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let batch = [];
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length >= BATCH_SIZE) {
+      updated += await refreshBatch(batch, now);
+      batch = [];
+    }
+  }
+  if (batch.length) updated += await refreshBatch(batch, now);
+
+  return updated;
+};
@@ -0,0 +1,253 @@
+const Document = require('../models/Documents');
+const User = require('../models/user');
+const { clientUrl, serverUrl } = require('../utils/push');
+const { notify, failures, USER_FIELDS } = require('../notifications');
+const {
+  DAY_MS,
+  SNOOZE_DAYS,
+  effectiveSchedule,
+  daysUntil,
+  documentStatus,
+  nextReminderAt,
+  dueReminder
+} = require('../utils/reminderSchedule');
+const { nextLocalTime } = require('../utils/timezone');
+const { t, formatDate } = require('../notifications/messages');
+const { createActionToken } = require('../utils/actionToken');
+
+// Documents are processed and their users looked up in batches of this size
+const BATCH_SIZE = parseInt(process.env.EXPIRY_NOTIFY_BATCH_SIZE, 10) || 100;
+
+// Documents named in a digest before the rest are summarised as "and N more"
+const DIGEST_LIST_LIMIT = 5;
+
+// Expired documents stay in digests for this many days, then drop out
+const DIGEST_EXPIRED_DAYS = 30;
+
+const usesDigest = (user) => Boolean(user && user.digest && ['daily', 'weekly'].includes(user.digest.mode));
+
+// Push buttons for snoozing the document's reminders or entering its new expiry date
+const buildActions = (doc, locale) => {
+  const token = encodeURIComponent(createActionToken(doc));
+  return [
+    {
+      action: 'snooze',
+      title: t(locale, 'expiry.action.snooze', { days: SNOOZE_DAYS }),
+      url: serverUrl(`/api/documents/actions/snooze?token=${token}`),
+      method: 'POST'
+    },
+    {
+      action: 'renewed',
+      title: t(locale, 'expiry.action.renewed'),
+      url: clientUrl(`/documents/renew?token=${token}`)
+    }
+  ];
+};
+
+const buildMessage = (doc, reminder, locale) => {
+  const params = {
+    type: doc.type,
+    number: doc.number,
+    days: reminder.days,
+    date: formatDate(doc.expiryDate, locale)
+  };
+
+  if (reminder.type === 'expired') {
+    return {
+      title: t(locale, 'expiry.expired.title', params),
+      body: t(locale, 'expiry.expired.body', params)
+    };
+  }
+
+  return {
+    title: t(locale, reminder.days <= 7 ? 'expiry.soon.title' : 'expiry.upcoming.title', params),
+    body: t(locale, 'expiry.upcoming.body', params)
+  };
+};
+
+// Send whatever is due for a batch of documents, then record it in a single bulk write.
+// Returns the number of notifications sent and the send errors.
+const processBatch = async (docs, now) => {
+  const userIds = [...new Set(docs.map((d) => String(d.user)))];
+  const users = await User.find({ _id: { $in: userIds } }).select(`${USER_FIELDS} reminderSchedule digest emailVerified`);
+
+  const usersById = {};
+  users.forEach((u) => {
+    usersById[String(u._id)] = u;
+  });
+
+  let sent = 0;
+  const errors = [];
+  const updates = [];
+
+  for (const doc of docs) {
+    const user = usersById[String(doc.user)];
+    const timezone = user ? user.timezone : undefined;
+
+    // Withhold reminders until the address is verified; verifying recomputes nextReminderAt
+    if (user && !user.emailVerified) {
+      updates.push({
+        updateOne: {
+          filter: { _id: doc._id, expiryDate: doc.expiryDate },
+          update: {
+            $set: {
+              'notifications.nextReminderAt': null,
+              status: documentStatus(doc.expiryDate, now, timezone)
+            }
+          }
+        }
+      });
+      continue;
+    }
+    const schedule = effectiveSchedule(doc, user);
+    const notifications = { sentReminders: [], ...doc.notifications };
+    const reminder = dueReminder(doc.expiryDate, schedule, notifications, now, timezone);
+
+    // Digest users hear about upcoming expiries in their digest; expired notices still go out immediately
+    const digested = reminder && reminder.type === 'before' && usesDigest(user);
+
+    if (reminder && reminder.type && user && !digested) {
+      const results = await notify(user, 'documentExpiry', {
+        ...buildMessage(doc, reminder, user.locale),
+        tag: `expiry-${doc._id}`,
+        url: clientUrl('/documents'),
+        actions: buildActions(doc, user.locale)
+      });
+      errors.push(...failures(results).map((e) => `${doc._id}: ${e}`));
+      sent++;
+    }
+
+    // Record what was sent (or skipped as stale) and when the next reminder is due
+    const after = {
+      sentReminders: [...new Set([...notifications.sentReminders, ...(reminder ? reminder.markSent : [])])],
+      expiredSent: Boolean(notifications.expiredSent || (reminder && reminder.type === 'expired')),
+      snoozedUntil: notifications.snoozedUntil
+    };
+    after.nextReminderAt = nextReminderAt(doc.expiryDate, schedule, after, timezone);
+
+    updates.push({
+      updateOne: {
+        // Skip the write if the expiry date was edited meanwhile; the save hook already reset it
+        filter: { _id: doc._id, expiryDate: doc.expiryDate },
+        update: {
+          $set: {
+            'notifications.sentReminders': after.sentReminders,
+            'notifications.expiredSent': after.expiredSent,
+            'notifications.nextReminderAt': after.nextReminderAt,
+            status: documentStatus(doc.expiryDate, now, timezone)
+          }
+        }
+      }
+    });
+  }
+
+  if (updates.length) await Document.bulkWrite(updates);
+
+  return { sent, errors };
+};
+
+// Notify users about documents whose next reminder is due.
+// `now` can be injected to run the pass as of any moment (e.g. in tests).
+// Returns the number of notifications sent and any send errors.
+exports.runExpiryNotifications = async ({ now = new Date() } = {}) => {
+  const stats = { sent: 0, errors: [] };
+
+  const cursor = Document.find({ 'notifications.nextReminderAt': { $lte: now } })
+    .select('user type number expiryDate reminderSchedule notifications')
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let batch = [];
+  const flush = async () => {
+    const { sent, errors } = await processBatch(batch, now);
+    stats.sent += sent;
+    stats.errors.push(...errors);
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  if (batch.length) await flush();
+
+  return stats;
+};
+
+// When a user's next digest is due after `after`, or null if digests are off
+exports.nextDigestAt = (digest, timezone, after = new Date()) => {
+  if (!digest || !['daily', 'weekly'].includes(digest.mode)) return null;
+  return nextLocalTime(after, timezone || 'UTC', digest.hour, digest.mode === 'weekly' ? digest.weekday : null);
+};
+
+const describeDocument = (doc, user, now) => {
+  const days = daysUntil(doc.expiryDate, now, user.timezone);
+  const params = { type: doc.type, number: doc.number, days, date: formatDate(doc.expiryDate, user.locale) };
+  return t(user.locale, days <= 0 ? 'digest.item.expired' : 'digest.item.upcoming', params);
+};
+
+const buildDigest = (user, docs, now) => {
+  const listed = docs.slice(0, DIGEST_LIST_LIMIT).map((doc) => describeDocument(doc, user, now));
+  if (docs.length > DIGEST_LIST_LIMIT) {
+    listed.push(t(user.locale, 'digest.more', { count: docs.length - DIGEST_LIST_LIMIT }));
+  }
+
+  return {
+    title: t(user.locale, user.digest.mode === 'weekly' ? 'digest.weekly.title' : 'digest.daily.title'),
+    body: t(user.locale, 'digest.body', { count: docs.length, items: listed.join('; ') }),
+    tag: `expiry-digest-${user._id}`,
+    url: clientUrl('/documents')
+  };
+};
+
+// Send one summary to each user whose digest is due, listing every document that has
+// expired in the last DIGEST_EXPIRED_DAYS days or reached its first reminder. `now` can be injected like runExpiryNotifications.
+// Returns the number of digests sent and any send errors.
+exports.runExpiryDigests = async ({ now = new Date() } = {}) => {
+  const stats = { sent: 0, errors: [] };
+
+  const cursor = User.find({
+    'digest.mode': { $in: ['daily', 'weekly'] },
+    emailVerified: true,
+    'digest.nextDigestAt': { $lte: now }
+  })
+    .select(`${USER_FIELDS} reminderSchedule digest`)
+    .cursor({ batchSize: BATCH_SIZE });
+
+  for await (const user of cursor) {
+    // Claim this digest before sending so overlapping runs cannot send it twice
+    const claimed = await User.updateOne(
+      { _id: user._id, 'digest.nextDigestAt': user.digest.nextDigestAt },
+      {
+        $set: {
+          'digest.nextDigestAt': exports.nextDigestAt(user.digest, user.timezone, now),
+          'digest.lastSentAt': now
+        }
+      }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    // Snoozed documents stay out of digests until the snooze ends. A day's margin on the
+    // expiry bound covers every timezone; the filter below applies the exact cut-off.
+    const documents = await Document.find({
+      user: user._id,
+      expiryDate: { $gte: new Date(now.getTime() - (DIGEST_EXPIRED_DAYS + 1) * DAY_MS) },
+      'notifications.snoozedUntil': { $not: { $gt: now } }
+    })
+      .select('type number expiryDate reminderSchedule')
+      .sort('expiryDate')
+      .lean();
+
+    const due = documents.filter((doc) => {
+      const days = daysUntil(doc.expiryDate, now, user.timezone);
+      return days >= -DIGEST_EXPIRED_DAYS && days <= Math.max(...effectiveSchedule(doc, user));
+    });
+    if (!due.length) continue;
+
+    const results = await notify(user, 'documentExpiry', buildDigest(user, due, now));
+    stats.errors.push(...failures(results).map((e) => `${user._id}: ${e}`));
+    stats.sent++;
+  }
+
+  return stats;
+};
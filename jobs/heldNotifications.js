@@ -0,0 +1,25 @@
+const Notification = require('../models/Notification');
+const { deliverHeld, failures } = require('../notifications');
+
+// Send notifications held for quiet hours that have now ended.
+// `now` can be injected to run the pass as of any moment (e.g. in tests).
+// Returns the number of notifications sent and any send errors.
+exports.releaseHeldNotifications = async ({ now = new Date() } = {}) => {
+  const stats = { sent: 0, errors: [] };
+
+  for (;;) {
+    // Claim one at a time so overlapping runs never deliver the same notification twice
+    const notification = await Notification.findOneAndUpdate(
+      { heldUntil: { $lte: now } },
+      { $unset: { heldUntil: 1 } },
+      { sort: { heldUntil: 1 } }
+    );
+    if (!notification) break;
+
+    const results = await deliverHeld(notification);
+    stats.errors.push(...failures(results).map((e) => `${notification._id}: ${e}`));
+    stats.sent++;
+  }
+
+  return stats;
+};
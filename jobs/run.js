@@ -0,0 +1,31 @@
+// Run the expiry notification and digest passes once, optionally as of another moment.
+// Usage: npm run notify:expiry -- [2025-01-31T09:00:00Z]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const webpush = require('web-push');
+
+dotenv.config();
+
+const connectDB = require('../config/db');
+const { runExpiryNotifications, runExpiryDigests } = require('./expiryNotifications');
+
+const run = async () => {
+  const now = process.argv[2] ? new Date(process.argv[2]) : new Date();
+  if (isNaN(now)) throw new Error(`Invalid date: ${process.argv[2]}`);
+
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    webpush.setVapidDetails('mailto:admin@example.com', process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY);
+  }
+
+  await connectDB();
+  const stats = await runExpiryNotifications({ now });
+  console.log(`Expiry notifications as of ${now.toISOString()}:`, stats);
+  console.log('Expiry digests:', await runExpiryDigests({ now }));
+};
+
+run()
+  .catch((err) => {
+    console.error(`Expiry notification run failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,83 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+const JobRun = require('../models/JobRun');
+
+// Identifies this process as a lock owner
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// How long a lock is held without renewal; renewed every third of that while the job runs
+const LEASE_MS = parseInt(process.env.JOB_LOCK_LEASE_MS, 10) || 5 * 60 * 1000;
+
+// Most per-item failures kept on a run record
+const MAX_RECORDED_FAILURES = 50;
+
+// Take the lease if it is free. Resolves false while anyone holds it, this process
+// included, so a manual run can't overlap a scheduled one.
+const acquireLock = async (job) => {
+  const now = new Date();
+  try {
+    await JobLock.findOneAndUpdate(
+      { _id: job, lockedUntil: { $lte: now } },
+      { owner: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LEASE_MS) },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    // Held already, so the upsert collided with the existing lock
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+// Extend a lease this process holds, while its job runs
+const renewLock = (job) =>
+  JobLock.updateOne(
+    { _id: job, owner: INSTANCE_ID },
+    { lockedUntil: new Date(Date.now() + LEASE_MS) }
+  );
+
+const releaseLock = (job) =>
+  JobLock.updateOne({ _id: job, owner: INSTANCE_ID }, { lockedUntil: new Date() });
+
+// Run a job under its lock and record the run.
+// `task` resolves to { processed, errors }. Resolves to the JobRun, or null if another instance holds the lock.
+exports.runJob = async (job, task, { trigger = 'schedule' } = {}) => {
+  if (!(await acquireLock(job))) return null;
+
+  // Without a run to record there's nothing to do, so don't hold the lock until the lease runs out
+  let run;
+  try {
+    run = await JobRun.create({ job, owner: INSTANCE_ID, trigger });
+  } catch (err) {
+    await releaseLock(job);
+    throw err;
+  }
+
+  const heartbeat = setInterval(() => {
+    renewLock(job).catch((err) => console.error(`Error renewing lock for ${job}:`, err.message));
+  }, LEASE_MS / 3);
+
+  try {
+    const { processed = 0, errors = [] } = (await task()) || {};
+    run.itemsProcessed = processed;
+    run.failures = errors.slice(0, MAX_RECORDED_FAILURES).map((message) => ({ message }));
+    run.status = 'succeeded';
+  } catch (err) {
+    console.error(`Error running ${job}:`, err);
+    run.failures.push({ message: err.message });
+    run.status = 'failed';
+  } finally {
+    clearInterval(heartbeat);
+    run.finishedAt = new Date();
+    try {
+      await run.save();
+    } finally {
+      await releaseLock(job);
+    }
+  }
+
+  return run;
+};
+
+exports.INSTANCE_ID = INSTANCE_ID;
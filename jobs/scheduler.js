@@ -0,0 +1,59 @@
+const { runJob } = require('./runner');
+const { runExpiryNotifications, runExpiryDigests } = require('./expiryNotifications');
+const { releaseHeldNotifications } = require('./heldNotifications');
+const { refreshDocumentStatuses } = require('./documentStatus');
+const { completePastBookings, sendLessonReminders } = require('./bookingJobs');
+
+// Every background job. Each resolves to { processed, errors } for the run record.
+const JOBS = {
+  expiryNotifications: async () => {
+    const { sent, errors } = await runExpiryNotifications();
+    if (sent) console.log(`✉️  Sent ${sent} expiry notification(s)`);
+    return { processed: sent, errors };
+  },
+  expiryDigests: async () => {
+    const { sent, errors } = await runExpiryDigests();
+    if (sent) console.log(`🗂️  Sent ${sent} expiry digest(s)`);
+    return { processed: sent, errors };
+  },
+  documentStatus: async () => {
+    const updated = await refreshDocumentStatuses();
+    if (updated) console.log(`📄 Updated the status of ${updated} document(s)`);
+    return { processed: updated };
+  },
+  heldNotifications: async () => {
+    const { sent, errors } = await releaseHeldNotifications();
+    if (sent) console.log(`🌅 Sent ${sent} notification(s) held for quiet hours`);
+    return { processed: sent, errors };
+  },
+  bookingCompletion: async () => {
+    const completed = await completePastBookings();
+    if (completed) console.log(`📘 Marked ${completed} past lesson(s) as completed`);
+    return { processed: completed };
+  },
+  lessonReminders: async () => {
+    const { sent, errors } = await sendLessonReminders();
+    if (sent) console.log(`⏰ Sent ${sent} lesson reminder(s)`);
+    return { processed: sent, errors };
+  }
+};
+
+// Run a job now, under its lock. Resolves to the JobRun, or null if it is already running.
+exports.triggerJob = (name, trigger = 'manual') => runJob(name, JOBS[name], { trigger });
+
+// Run every job on a fixed interval. A tick that comes round while the job is still
+// running, here or on another instance, is skipped.
+// Returns a function that stops them.
+exports.startScheduler = (intervalMs) => {
+  const timers = Object.keys(JOBS).map((name) =>
+    setInterval(() => {
+      exports.triggerJob(name, 'schedule').catch((error) => {
+        console.error(`Error scheduling ${name}:`, error);
+      });
+    }, intervalMs)
+  );
+
+  return () => timers.forEach(clearInterval);
+};
+
+exports.JOB_NAMES = Object.keys(JOBS);
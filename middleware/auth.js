@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/user");
+const Session = require("../models/Session");
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -29,6 +30,16 @@ exports.protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Access tokens belong to a session, which can be revoked before the token expires
+    const session = decoded.sid && (await Session.findById(decoded.sid));
+
+    if (!session || session.revokedAt || String(session.user) !== String(decoded.id)) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has expired or been revoked. Please log in again.",
+      });
+    }
+
     // Add user to request
     const user = await User.findById(decoded.id);
 
@@ -39,7 +50,15 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    if (user.disabled) {
+      return res.status(403).json({
+        success: false,
+        message: "This account has been disabled.",
+      });
+    }
+
     req.user = user;
+    req.sessionId = String(session._id);
     next();
   } catch (error) {
     return res.status(401).json({
@@ -48,3 +67,14 @@ exports.protect = async (req, res, next) => {
     });
   }
 };
+
+// Grant access to specific roles - must run after protect
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: `User role ${req.user ? req.user.role : "guest"} is not authorized to access this route`,
+    });
+  }
+  next();
+};
@@ -0,0 +1,25 @@
+// Payments used to store Paystack-specific reference fields.
+// Move them to the provider-agnostic provider/providerReference/providerTransactionId.
+exports.up = async (db) => {
+  const payments = db.collection('payments');
+
+  const result = await payments.updateMany(
+    { paystackReference: { $exists: true } },
+    [
+      {
+        $set: {
+          provider: { $ifNull: ['$provider', 'paystack'] },
+          providerReference: { $ifNull: ['$providerReference', '$paystackReference'] },
+          providerTransactionId: { $ifNull: ['$providerTransactionId', '$paystackTransactionId'] }
+        }
+      },
+      { $unset: ['paystackReference', 'paystackTransactionId'] }
+    ]
+  );
+  console.log(`  migrated ${result.modifiedCount} payment(s)`);
+
+  const indexes = await payments.indexes();
+  if (indexes.some((i) => i.name === 'paystackReference_1')) {
+    await payments.dropIndex('paystackReference_1');
+  }
+};
@@ -0,0 +1,17 @@
+// Give existing users the default role, and promote the bootstrap admins listed
+// in ADMIN_EMAILS (comma separated) so someone can reach the admin endpoints.
+exports.up = async (db) => {
+  const users = db.collection('users');
+
+  await users.updateMany({ role: { $exists: false } }, { $set: { role: 'user', disabled: false } });
+
+  const admins = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (admins.length) {
+    const result = await users.updateMany({ email: { $in: admins } }, { $set: { role: 'admin' } });
+    console.log(`  promoted ${result.modifiedCount} admin(s)`);
+  }
+};
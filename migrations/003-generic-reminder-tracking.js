@@ -0,0 +1,42 @@
+// Documents tracked the old fixed reminders with monthBeforeSent/lastDailySentAt.
+// Convert them to the generic sentReminders list and compute nextReminderAt.
+const { DAY_MS, DEFAULT_SCHEDULE, nextReminderAt } = require('../utils/reminderSchedule');
+
+exports.up = async (db) => {
+  const documents = db.collection('documents');
+  const cursor = documents.find({ 'notifications.nextReminderAt': { $exists: false } });
+
+  let migrated = 0;
+  for await (const doc of cursor) {
+    const old = doc.notifications || {};
+    const sentReminders = [];
+
+    if (old.monthBeforeSent) sentReminders.push(30);
+
+    // The daily countdown sent every offset from 7 down to the day it last ran
+    if (old.lastDailySentAt) {
+      const daysLeft = Math.ceil((new Date(doc.expiryDate) - new Date(old.lastDailySentAt)) / DAY_MS);
+      DEFAULT_SCHEDULE.filter((d) => d <= 7 && d >= daysLeft).forEach((d) => sentReminders.push(d));
+    }
+
+    const notifications = {
+      sentReminders: [...new Set(sentReminders)],
+      expiredSent: Boolean(old.expiredSent)
+    };
+    notifications.nextReminderAt = nextReminderAt(doc.expiryDate, DEFAULT_SCHEDULE, notifications);
+
+    await documents.updateOne({ _id: doc._id }, { $set: { notifications } });
+    migrated++;
+  }
+  console.log(`  migrated ${migrated} document(s)`);
+
+  for (const name of [
+    'expiryDate_1_notifications.expiredSent_1',
+    'expiryDate_1_notifications.monthBeforeSent_1',
+    'expiryDate_1_notifications.lastDailySentAt_1'
+  ]) {
+    if ((await documents.indexes()).some((i) => i.name === name)) {
+      await documents.dropIndex(name);
+    }
+  }
+};
@@ -0,0 +1,9 @@
+// Email verification is new: treat addresses of existing accounts as verified so their
+// document reminders keep going out. New signups start unverified.
+exports.up = async (db) => {
+  const result = await db.collection('users').updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  console.log(`  marked ${result.modifiedCount} existing user(s) as verified`);
+};
@@ -0,0 +1,11 @@
+// Accounts created by Google sign-in before providers were tracked were given a placeholder
+// phone and country and a random password. Mark them so the owners are asked for their real
+// details, and can't unlink their last way in before setting a password. Their Google identity
+// is linked the next time they sign in with it, once they confirm from their inbox.
+exports.up = async (db) => {
+  const result = await db.collection('users').updateMany(
+    { phone: 'N/A', country: 'Unknown', profileComplete: { $exists: false } },
+    { $set: { profileComplete: false, hasPassword: false }, $unset: { phone: 1, country: 1 } }
+  );
+  console.log(`  marked ${result.modifiedCount} OAuth-created user(s) as incomplete`);
+};
@@ -0,0 +1,33 @@
+// Bookings made before startsAt/endsAt were stored only had date and "HH:mm" times, so the
+// auto-completion and reminder passes never picked them up. Work the exact times out.
+const { toDay, toMinutes } = require('../utils/scheduling');
+
+// Lessons with neither an end time nor a duration are taken to last an hour
+const DEFAULT_DURATION_MINUTES = 60;
+
+exports.up = async (db) => {
+  const bookings = db.collection('bookings');
+  const cursor = bookings.find({ startsAt: { $exists: false } });
+
+  let migrated = 0;
+  let skipped = 0;
+  for await (const booking of cursor) {
+    const day = toDay(booking.date);
+    const start = toMinutes(booking.startTime);
+    if (!day || start === null) {
+      skipped++;
+      continue;
+    }
+
+    const end = toMinutes(booking.endTime);
+    const duration = end !== null && end > start ? end - start : booking.duration || DEFAULT_DURATION_MINUTES;
+    const startsAt = new Date(day.getTime() + start * 60 * 1000);
+
+    await bookings.updateOne(
+      { _id: booking._id },
+      { $set: { startsAt, endsAt: new Date(startsAt.getTime() + duration * 60 * 1000) } }
+    );
+    migrated++;
+  }
+  console.log(`  migrated ${migrated} booking(s)${skipped ? `, skipped ${skipped} without a valid date or start time` : ''}`);
+};
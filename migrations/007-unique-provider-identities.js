@@ -0,0 +1,16 @@
+// The provider identity index was first created without `unique`. Replace it with the unique
+// one; this fails if two accounts already share an identity, which must be resolved by hand.
+exports.up = async (db) => {
+  const users = db.collection('users');
+  const name = 'providers.provider_1_providers.providerId_1';
+
+  const existing = (await users.indexes()).find((i) => i.name === name);
+  if (existing && !existing.unique) {
+    await users.dropIndex(name);
+  }
+
+  await users.createIndex(
+    { 'providers.provider': 1, 'providers.providerId': 1 },
+    { name, unique: true, partialFilterExpression: { 'providers.providerId': { $exists: true } } }
+  );
+};
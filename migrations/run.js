@@ -0,0 +1,41 @@
+// Applies pending migrations in filename order and records them in the `migrations` collection.
+// Usage: npm run migrate
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const run = async () => {
+  const dbUri = process.env.MONGO_URI || process.env.MONGODB_URI;
+  if (!dbUri) {
+    throw new Error('Database connection string is missing! Please set MONGO_URI or MONGODB_URI in environment variables.');
+  }
+
+  await mongoose.connect(dbUri);
+  const db = mongoose.connection.db;
+  const applied = db.collection('migrations');
+
+  const files = fs
+    .readdirSync(__dirname)
+    .filter((f) => /^\d+-.+\.js$/.test(f))
+    .sort();
+
+  for (const file of files) {
+    if (await applied.findOne({ name: file })) continue;
+
+    console.log(`Applying migration ${file}...`);
+    await require(path.join(__dirname, file)).up(db);
+    await applied.insertOne({ name: file, appliedAt: new Date() });
+  }
+
+  console.log('Migrations up to date');
+};
+
+run()
+  .catch((err) => {
+    console.error(`Migration failed: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -6,6 +6,10 @@ const bookingSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instructor'
+  },
   date: {
     type: Date,
     required: [true, 'Please add a date for the lesson']
@@ -14,6 +18,19 @@ const bookingSchema = new mongoose.Schema({
     type: String, // Format: "HH:mm"
     required: [true, 'Please add a start time']
   },
+  endTime: {
+    type: String // Format: "HH:mm"
+  },
+  duration: {
+    type: Number // Minutes
+  },
+  // Exact lesson start and end, used for cutoffs and the auto-completion pass
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
   lessonType: {
     type: String,
     enum: ['Standard Lesson', 'Highway Logic', 'Parking Mastery', 'Night Driving', 'Test Preparation'],
@@ -21,17 +38,57 @@ const bookingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'completed', 'cancelled'],
-    default: 'confirmed'
+    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'declined', 'no_show'],
+    default: 'pending'
+  },
+  // Changed only through utils/bookingStateMachine
+  statusHistory: [
+    {
+      from: String,
+      to: String,
+      event: String,
+      actor: { type: String, enum: ['learner', 'instructor', 'admin', 'system'] },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      at: { type: Date, default: Date.now }
+    }
+  ],
+  // Sent-reminder flags so each reminder goes out once (reset on reschedule)
+  reminders: {
+    dayBeforeSent: {
+      type: Boolean,
+      default: false
+    },
+    hourBeforeSent: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Lesson credit taken from the learner's balance for this booking
+  creditUsed: {
+    type: Boolean,
+    default: false
+  },
+  creditRefunded: {
+    type: Boolean,
+    default: false
   },
   notes: {
     type: String,
     maxlength: 500
   },
+  declineReason: {
+    type: String,
+    maxlength: 500
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+bookingSchema.index({ user: 1, date: 1 });
+bookingSchema.index({ instructor: 1, date: 1 });
+bookingSchema.index({ status: 1, endsAt: 1 });
+bookingSchema.index({ status: 1, startsAt: 1 });
+
 module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Ledger of every change to a user's lesson credit balance
+const creditTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lessonType: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number, // Positive for credits added, negative for credits used
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['purchase', 'booking', 'cancellation_refund', 'payment_refund'],
+    required: true
+  },
+  balanceAfter: {
+    type: Number
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+creditTransactionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CreditTransaction', creditTransactionSchema);
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const {
+  DAY_MS,
+  normalizeSchedule,
+  effectiveSchedule,
+  documentStatus,
+  nextReminderAt
+} = require('../utils/reminderSchedule');
 
 const documentSchema = new mongoose.Schema({
   user: {
@@ -30,17 +37,33 @@ const documentSchema = new mongoose.Schema({
     enum: ['valid', 'expiring', 'expired'],
     default: 'valid'
   },
+  // Days-before-expiry reminders for this document; empty means use the user's default
+  reminderSchedule: {
+    type: [Number],
+    default: undefined,
+    set: (value) => (Array.isArray(value) && normalizeSchedule(value)) || value,
+    validate: {
+      validator: (value) => value == null || normalizeSchedule(value) !== null,
+      message: 'Reminder schedule must be a list of whole days between 1 and 730'
+    }
+  },
   notifications: {
-    monthBeforeSent: {
+    // Offsets from the schedule that have been sent
+    sentReminders: {
+      type: [Number],
+      default: []
+    },
+    expiredSent: {
       type: Boolean,
       default: false
     },
-    lastDailySentAt: {
+    // Reminders are paused until then (the "Snooze" notification action)
+    snoozedUntil: {
       type: Date
     },
-    expiredSent: {
-      type: Boolean,
-      default: false
+    // When the next reminder becomes due; the expiry job queries on this
+    nextReminderAt: {
+      type: Date
     }
   },
   createdAt: {
@@ -49,30 +72,89 @@ const documentSchema = new mongoose.Schema({
   }
 });
 
-// Calculate status based on expiry date
-documentSchema.pre('save', function(next) {
-  const today = new Date();
-  const expiry = new Date(this.expiryDate);
-  const daysUntilExpiry = Math.ceil((expiry - today) / (1000 * 60 * 60 * 24));
-
-  if (daysUntilExpiry < 0) {
-    this.status = 'expired';
-  } else if (daysUntilExpiry <= 30) {
-    this.status = 'expiring';
-  } else {
-    this.status = 'valid';
+// Used by jobs/expiryNotifications to find documents with a reminder due
+documentSchema.index({ 'notifications.nextReminderAt': 1 });
+
+// Document list filters and sorts, always scoped to one user
+documentSchema.index({ user: 1, createdAt: -1 });
+documentSchema.index({ user: 1, expiryDate: 1 });
+documentSchema.index({ user: 1, status: 1, expiryDate: 1 });
+
+// Used by jobs/documentStatus to find statuses that may have gone stale
+documentSchema.index({ status: 1, expiryDate: 1 });
+
+// Calculate status and the next reminder when the expiry date or schedule changes, counting
+// days in the owner's timezone. A status set by hand is recomputed too. Other saves leave
+// them alone; jobs/documentStatus keeps statuses current as days pass. Callers that already hold the owner (with reminderSchedule
+// and timezone) can set `document.$locals.owner` to skip loading it.
+documentSchema.pre('save', async function() {
+  const recomputeStatus = this.isNew || this.isModified('expiryDate') || this.isModified('status');
+  if (!recomputeStatus && !this.isModified('reminderSchedule')) return;
+
+  const user = this.$locals.owner ||
+    (await mongoose.model('User').findById(this.user).select('reminderSchedule timezone'));
+  const timezone = user ? user.timezone : undefined;
+
+  if (recomputeStatus) {
+    this.status = documentStatus(this.expiryDate, new Date(), timezone);
   }
 
-  // If expiryDate is modified, reset notification flags
+  // If expiryDate is modified, start the reminder schedule over
   if (this.isModified('expiryDate')) {
     this.notifications = {
-      monthBeforeSent: false,
-      lastDailySentAt: null,
+      sentReminders: [],
       expiredSent: false
     };
   }
 
-  next();
+  this.notifications.nextReminderAt = nextReminderAt(
+    this.expiryDate,
+    effectiveSchedule(this, user),
+    this.notifications,
+    timezone
+  );
 });
 
+// Recompute when the next reminder is due after the user's schedule, timezone or email
+// verification changes. A schedule change only affects documents that follow the user's
+// default schedule. `user` needs reminderSchedule and timezone loaded.
+documentSchema.statics.refreshReminderTimes = async function(user, { defaultScheduleOnly = false } = {}) {
+  const filter = { user: user._id };
+  if (defaultScheduleOnly) {
+    filter.$or = [{ reminderSchedule: { $exists: false } }, { reminderSchedule: { $size: 0 } }];
+  }
+
+  const documents = await this.find(filter).select('expiryDate reminderSchedule notifications');
+
+  if (!documents.length) return;
+
+  await this.bulkWrite(
+    documents.map((doc) => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set: {
+            'notifications.nextReminderAt': nextReminderAt(
+              doc.expiryDate,
+              effectiveSchedule(doc, user),
+              doc.notifications,
+              user.timezone
+            )
+          }
+        }
+      }
+    }))
+  );
+};
+
+// Pause reminders for `days` days; anything that falls due meanwhile is sent once the snooze ends
+documentSchema.methods.snoozeReminders = function(days) {
+  const until = new Date(Date.now() + days * DAY_MS);
+  this.notifications.snoozedUntil = until;
+
+  const next = this.notifications.nextReminderAt;
+  if (next && next < until) this.notifications.nextReminderAt = until;
+  return until;
+};
+
 module.exports = mongoose.model('Document', documentSchema);
\ No newline at end of file
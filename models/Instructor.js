@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const LESSON_TYPES = ['Standard Lesson', 'Highway Logic', 'Parking Mastery', 'Night Driving', 'Test Preparation'];
+
+// Lesson length in minutes when the instructor has not set their own
+const DEFAULT_LESSON_DURATIONS = {
+  'Standard Lesson': 60,
+  'Highway Logic': 90,
+  'Parking Mastery': 60,
+  'Night Driving': 90,
+  'Test Preparation': 120
+};
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must use the HH:mm format'];
+
+const instructorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  bio: {
+    type: String,
+    maxlength: 1000
+  },
+  lessonTypes: {
+    type: [{ type: String, enum: LESSON_TYPES }],
+    default: LESSON_TYPES
+  },
+  // Recurring weekly windows, e.g. Monday 09:00-17:00 (dayOfWeek: 0 = Sunday)
+  weeklyAvailability: [
+    {
+      dayOfWeek: { type: Number, min: 0, max: 6, required: true },
+      startTime: { type: String, match: TIME_FORMAT, required: true },
+      endTime: { type: String, match: TIME_FORMAT, required: true }
+    }
+  ],
+  // Days the instructor is unavailable (stored as UTC midnight)
+  blackoutDates: [
+    {
+      date: { type: Date, required: true },
+      reason: { type: String, maxlength: 200 }
+    }
+  ],
+  lessonDurations: [
+    {
+      lessonType: { type: String, enum: LESSON_TYPES, required: true },
+      minutes: { type: Number, min: 15, max: 480, required: true }
+    }
+  ],
+  // Running average of learner ratings
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Lesson length in minutes for the given lesson type
+instructorSchema.methods.getLessonDuration = function(lessonType) {
+  const custom = this.lessonDurations.find((d) => d.lessonType === lessonType);
+  return custom ? custom.minutes : DEFAULT_LESSON_DURATIONS[lessonType] || 60;
+};
+
+instructorSchema.statics.LESSON_TYPES = LESSON_TYPES;
+
+module.exports = mongoose.model('Instructor', instructorSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One document per instructor per day holding the booked intervals.
+// Keeping a day's reservations together lets a single atomic update reject overlaps.
+const instructorCalendarSchema = new mongoose.Schema({
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instructor',
+    required: true
+  },
+  date: {
+    type: Date, // UTC midnight
+    required: true
+  },
+  reservations: [
+    {
+      booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+      start: { type: Number, required: true }, // Minutes since midnight
+      end: { type: Number, required: true }
+    }
+  ]
+});
+
+instructorCalendarSchema.index({ instructor: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('InstructorCalendar', instructorCalendarSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Leased lock per background job, so only one instance runs it at a time.
+// A crashed holder's lease simply expires.
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String // Job name
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: String // Instance that ran the job
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  itemsProcessed: {
+    type: Number,
+    default: 0
+  },
+  // Per-item failures (e.g. a push that still failed after retries) and the job's own error
+  failures: [
+    {
+      message: String,
+      at: { type: Date, default: Date.now }
+    }
+  ]
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Checklist instructors score after a lesson
+const SKILLS = [
+  'vehicle_controls',
+  'moving_off',
+  'steering',
+  'gear_changes',
+  'mirrors_observation',
+  'junctions',
+  'roundabouts',
+  'lane_discipline',
+  'parking',
+  'reverse_parking',
+  'highway_merging',
+  'night_driving',
+  'hazard_perception',
+  'emergency_stop',
+  'road_signs'
+];
+
+// Scores are 1 (introduced) to 5 (independent); this or above counts as mastered
+const MASTERY_SCORE = 4;
+
+const lessonFeedbackSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  learner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  instructor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Instructor',
+    required: true
+  },
+  lessonDate: {
+    type: Date,
+    required: true
+  },
+  skills: [
+    {
+      skill: { type: String, enum: SKILLS, required: true },
+      score: { type: Number, min: 1, max: 5, required: true },
+      comment: { type: String, maxlength: 300 }
+    }
+  ],
+  comments: {
+    type: String,
+    maxlength: 2000
+  },
+  // The learner's rating of the instructor for this lesson
+  rating: {
+    score: { type: Number, min: 1, max: 5 },
+    comment: { type: String, maxlength: 1000 },
+    ratedAt: { type: Date }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+lessonFeedbackSchema.index({ learner: 1, lessonDate: 1 });
+
+lessonFeedbackSchema.statics.SKILLS = SKILLS;
+lessonFeedbackSchema.statics.MASTERY_SCORE = MASTERY_SCORE;
+
+module.exports = mongoose.model('LessonFeedback', lessonFeedbackSchema);
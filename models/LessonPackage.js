@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Instructor = require('./Instructor');
+
+const lessonPackageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a package name'],
+    trim: true
+  },
+  lessonType: {
+    type: String,
+    enum: Instructor.LESSON_TYPES,
+    required: [true, 'Please provide the lesson type']
+  },
+  credits: {
+    type: Number,
+    required: [true, 'Please provide the number of lessons'],
+    min: [1, 'A package must contain at least 1 lesson']
+  },
+  price: {
+    type: Number, // In the currency's subunit (e.g. kobo)
+    required: [true, 'Please provide a price'],
+    min: [1, 'Price must be greater than zero']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'NGN'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('LessonPackage', lessonPackageSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// How long sign-in attempts are kept for the login history
+const LOGIN_HISTORY_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS, 10) || 180;
+
+// One sign-in attempt, successful or not. Attempts for unknown addresses have no user.
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'google', 'facebook', 'password_reset', 'signup'],
+    required: true
+  },
+  twoFactor: {
+    type: Boolean, // Completed with a second factor
+    default: false
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: ['unknown_user', 'invalid_password', 'invalid_two_factor', 'locked', 'disabled']
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  device: {
+    type: String // e.g. "Chrome on Windows"
+  },
+  // First success from a device and IP the account hadn't signed in from before
+  unusual: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, success: 1, ip: 1 });
+
+// Old attempts are removed by MongoDB
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
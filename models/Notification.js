@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Inbox item for every notification sent to a user, with how each channel fared
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String, // documentExpiry, lessonReminder, bookingUpdate
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String
+  },
+  url: {
+    type: String
+  },
+  tag: {
+    type: String
+  },
+  // Push buttons, kept so a notification held for quiet hours still has them when sent
+  actions: [
+    {
+      _id: false,
+      action: String,
+      title: String,
+      url: String,
+      method: String
+    }
+  ],
+  deliveries: [
+    {
+      channel: { type: String, enum: ['push', 'email', 'sms'] },
+      status: { type: String, enum: ['sent', 'failed', 'skipped'] },
+      reason: String, // Why the channel was skipped
+      error: String,
+      at: { type: Date, default: Date.now }
+    }
+  ],
+  // Set while the notification waits for the user's quiet hours to end
+  heldUntil: {
+    type: Date
+  },
+  readAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ heldUntil: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -6,14 +6,37 @@ const paymentSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  type: {
+      type: String,
+      enum: ['renewal', 'lesson_package'],
+      default: 'renewal'
+  },
   document: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Document',
-    required: true
+    required: function() { return this.type === 'renewal'; }
   },
-  type: {
-      type: String, // e.g., 'renewal'
-      default: 'renewal'
+  lessonPackage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LessonPackage'
+  },
+  lessonType: {
+    type: String // Snapshot of the package at purchase time
+  },
+  credits: {
+    type: Number
+  },
+  // Credits already used when the payment was refunded, so not taken back
+  creditsShortfall: {
+    type: Number
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RenewalProduct'
+  },
+  validityYears: {
+    type: Number, // Snapshot of the product's period at purchase time
+    default: 1
   },
   amount: {
     type: Number,
@@ -23,22 +46,53 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     default: 'NGN'
   },
-  paystackReference: {
+  provider: {
     type: String,
-    required: true
+    enum: ['paystack', 'flutterwave'],
+    default: 'paystack'
+  },
+  providerReference: {
+    type: String,
+    required: true,
+    unique: true
   },
-  paystackTransactionId: {
+  providerTransactionId: {
     type: String
   },
   status: {
     type: String,
-    enum: ['pending', 'success', 'failed'],
+    enum: ['pending', 'success', 'failed', 'refunded'],
     default: 'pending'
   },
+  failureReason: {
+    type: String
+  },
+  paidAt: {
+    type: Date
+  },
+  // Expiry before and after the renewal, so a refund can roll it back
+  previousExpiryDate: {
+    type: Date
+  },
+  newExpiryDate: {
+    type: Date
+  },
+  refundedAt: {
+    type: Date
+  },
+  // Refunds reported by the provider; partial ones leave the renewal or credits in place
+  refunds: [{
+    _id: false,
+    refundId: String,
+    amount: Number, // subunit, like amount
+    refundedAt: Date
+  }],
   date: {
     type: Date,
     default: Date.now
   }
 });
 
+paymentSchema.index({ user: 1, date: -1 });
+
 module.exports = mongoose.model('Payment', paymentSchema);
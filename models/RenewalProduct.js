@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const renewalProductSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: [true, 'Please provide the country'],
+    trim: true
+  },
+  documentType: {
+    type: String,
+    required: [true, 'Please provide the document type'],
+    trim: true
+  },
+  validityYears: {
+    type: Number,
+    required: [true, 'Please provide the validity period in years'],
+    min: [1, 'Validity period must be at least 1 year'],
+    max: [10, 'Validity period cannot exceed 10 years']
+  },
+  price: {
+    type: Number, // In the currency's subunit (e.g. kobo)
+    required: [true, 'Please provide a price'],
+    min: [1, 'Price must be greater than zero']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'NGN'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One product per country, document type and validity period (case-insensitive)
+renewalProductSchema.index(
+  { country: 1, documentType: 1, validityYears: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+// Whether this product can be used to renew the given document
+renewalProductSchema.methods.appliesTo = function(document) {
+  const norm = (s) => String(s || '').trim().toLowerCase();
+  return norm(this.country) === norm(document.country) &&
+    norm(this.documentType) === norm(document.type);
+};
+
+module.exports = mongoose.model('RenewalProduct', renewalProductSchema);
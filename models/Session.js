@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token rotates on every use. Hashes of the current
+// token and the earlier ones are kept, so presenting an earlier token reveals it was copied.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String], // Most recent last; see MAX_PREVIOUS_TOKENS in utils/sessions
+    select: false
+  },
+  userAgent: {
+    type: String
+  },
+  device: {
+    type: String // e.g. "Chrome on Windows"
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_reset', 'two_factor_reset']
+  }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,6 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+// How long emailed links stay valid
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PROVIDER_LINK_TTL_MS = 60 * 60 * 1000;
+
+// Accounts created through a provider fill these in afterwards; see profileComplete
+const requiredOnceComplete = function() {
+  return this.profileComplete !== false;
+};
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -19,13 +30,187 @@ const userSchema = new mongoose.Schema({
       'Please provide a valid email'
     ]
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Only hashes of emailed tokens are stored; see createEmailToken below
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpire: {
+    type: Date,
+    select: false
+  },
+  // Sign-in identities from OAuth providers; see utils/oauthProviders
+  providers: [
+    {
+      _id: false,
+      provider: { type: String, enum: ['google', 'facebook'], required: true },
+      providerId: { type: String, required: true },
+      email: { type: String },
+      linkedAt: { type: Date, default: Date.now }
+    }
+  ],
+  // A provider identity with this account's email, linked once the owner confirms by email
+  pendingProvider: {
+    type: {
+      _id: false,
+      provider: String,
+      providerId: String,
+      email: String
+    },
+    select: false
+  },
+  providerLinkToken: {
+    type: String,
+    select: false
+  },
+  providerLinkExpire: {
+    type: Date,
+    select: false
+  },
+  // False for accounts created through a provider until a password is set with a reset link
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
+  // False for accounts created through a provider until the phone number and country are given
+  profileComplete: {
+    type: Boolean,
+    default: true
+  },
   phone: {
     type: String,
-    required: [true, 'Please provide a phone number']
+    required: [requiredOnceComplete, 'Please provide a phone number']
+  },
+  // Opt-in TOTP two-factor authentication; see utils/twoFactor
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    secret: {
+      type: String, // Encrypted
+      select: false
+    },
+    pendingSecret: {
+      type: String, // Encrypted; set up but not yet confirmed with a code
+      select: false
+    },
+    lastUsedStep: {
+      type: Number, // Time step of the last accepted code, so codes can't be replayed
+      select: false
+    },
+    recoveryCodes: {
+      type: [String], // Hashes of the unused one-time codes
+      select: false
+    }
   },
   country: {
     type: String,
-    required: [true, 'Please provide your country']
+    required: [requiredOnceComplete, 'Please provide your country']
+  },
+  role: {
+    type: String,
+    enum: ['user', 'instructor', 'admin'],
+    default: 'user'
+  },
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  disabledAt: {
+    type: Date
+  },
+  // Failed sign-ins since the last success; see utils/loginSecurity
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date
+    },
+    lockouts: {
+      type: Number, // Lockouts since the last success; each one lasts longer
+      default: 0
+    }
+  },
+  // Prepaid lesson balance per lesson type, changed only through utils/credits
+  lessonCredits: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Default days-before-expiry reminders for documents without their own schedule
+  reminderSchedule: {
+    type: [Number],
+    default: undefined
+  },
+  // Channels chosen per notification type; unset types use the defaults in notifications/
+  notificationChannels: {
+    documentExpiry: [{ type: String, enum: ['push', 'email', 'sms'] }],
+    lessonReminder: [{ type: String, enum: ['push', 'email', 'sms'] }],
+    bookingUpdate: [{ type: String, enum: ['push', 'email', 'sms'] }],
+    securityAlert: [{ type: String, enum: ['push', 'email', 'sms'] }]
+  },
+  // IANA timezone used for scheduled notifications, e.g. "Africa/Lagos"
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // Language for notification text; see notifications/messages
+  locale: {
+    type: String,
+    enum: ['en', 'fr', 'yo', 'ha', 'ig'],
+    default: 'en'
+  },
+  // Local "HH:mm" window (may span midnight) during which notifications are held
+  quietHours: {
+    start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ }
+  },
+  // Group expiry reminders into one summary instead of a notification per document
+  digest: {
+    mode: {
+      type: String,
+      enum: ['off', 'daily', 'weekly'],
+      default: 'off'
+    },
+    hour: {
+      type: Number, // Local hour (0-23) the digest goes out
+      min: 0,
+      max: 23,
+      default: 8
+    },
+    weekday: {
+      type: Number, // 0 = Sunday; weekly digests only
+      min: 0,
+      max: 6,
+      default: 1
+    },
+    nextDigestAt: {
+      type: Date
+    },
+    lastSentAt: {
+      type: Date
+    }
   },
   pushSubscriptions: [
     {
@@ -46,23 +231,65 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+userSchema.index({ 'digest.nextDigestAt': 1 });
+// A provider identity can belong to one account only
+userSchema.index(
+  { 'providers.provider': 1, 'providers.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'providers.providerId': { $exists: true } } }
+);
+
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Generate JWT token
-userSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// Generate a short-lived access token for one of the user's sessions
+userSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign({ id: this._id, sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m'
   });
 };
 
+userSchema.statics.PASSWORD_RESET_TTL_MS = PASSWORD_RESET_TTL_MS;
+userSchema.statics.EMAIL_VERIFICATION_TTL_MS = EMAIL_VERIFICATION_TTL_MS;
+userSchema.statics.PROVIDER_LINK_TTL_MS = PROVIDER_LINK_TTL_MS;
+
+// Hash of an emailed token, as stored on the user
+userSchema.statics.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Random token for an emailed link; the hash and expiry are set on the user and the
+// raw token is returned to put in the link. Save the user afterwards.
+const createEmailToken = (user, field, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user[`${field}Token`] = user.constructor.hashToken(token);
+  user[`${field}Expire`] = new Date(Date.now() + ttlMs);
+  return token;
+};
+
+userSchema.methods.createPasswordResetToken = function() {
+  return createEmailToken(this, 'passwordReset', PASSWORD_RESET_TTL_MS);
+};
+
+userSchema.methods.createEmailVerificationToken = function() {
+  return createEmailToken(this, 'emailVerification', EMAIL_VERIFICATION_TTL_MS);
+};
+
+// Hold a provider identity ({ provider, providerId, email }) until the owner follows the
+// emailed link to confirm it is theirs
+userSchema.methods.createProviderLinkToken = function(identity) {
+  this.pendingProvider = {
+    provider: identity.provider,
+    providerId: identity.providerId,
+    email: identity.email
+  };
+  return createEmailToken(this, 'providerLink', PROVIDER_LINK_TTL_MS);
+};
+
 // Match user password
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
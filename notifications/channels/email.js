@@ -0,0 +1,63 @@
+const nodemailer = require('nodemailer');
+const { createMailTransport } = require('../stubTransport');
+
+let transport;
+
+// EMAIL_TRANSPORT=stub captures mail locally; otherwise SMTP_* configures a real server
+const createTransport = () => {
+  if (process.env.EMAIL_TRANSPORT === 'stub') return createMailTransport();
+  if (!process.env.SMTP_HOST) return null;
+
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+};
+
+const getTransport = () => {
+  if (transport === undefined) transport = createTransport();
+  return transport;
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+exports.name = 'email';
+
+// Swap the transport, e.g. for a test double. Pass undefined to go back to the configured one.
+exports.setTransport = (value) => {
+  transport = value;
+};
+
+exports.isConfigured = () => Boolean(getTransport());
+
+// Send a raw email (used by account flows as well as notifications)
+exports.sendMail = async ({ to, subject, text, html }) => {
+  const mailer = getTransport();
+  if (!mailer) throw new Error('Email is not configured');
+
+  return mailer.sendMail({
+    from: process.env.EMAIL_FROM || 'DriveDoc <no-reply@drivedoc.org>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+exports.send = async (user, message) => {
+  if (!getTransport()) return { status: 'skipped', reason: 'Email is not configured' };
+  if (!user.email) return { status: 'skipped', reason: 'No email address' };
+
+  await exports.sendMail({
+    to: user.email,
+    subject: message.title,
+    text: message.url ? `${message.body}\n\n${message.url}` : message.body,
+    html: `<p>${escapeHtml(message.body)}</p>` +
+      (message.url ? `<p><a href="${escapeHtml(message.url)}">Open DriveDoc</a></p>` : '')
+  });
+  return { status: 'sent' };
+};
@@ -0,0 +1,30 @@
+const User = require('../../models/user');
+const { sendToSubscriptions } = require('../../utils/push');
+
+// Stop sending to subscriptions the push service has dropped
+const disableSubscriptions = (userId, endpoints) =>
+  User.updateOne(
+    { _id: userId },
+    { $set: { 'pushSubscriptions.$[sub].enabled': false } },
+    { arrayFilters: [{ 'sub.endpoint': { $in: endpoints } }] }
+  );
+
+exports.name = 'push';
+
+exports.isConfigured = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+exports.send = async (user, message) => {
+  if (!exports.isConfigured()) return { status: 'skipped', reason: 'Web push is not configured' };
+
+  const subscriptions = (user.pushSubscriptions || []).filter((s) => s.enabled);
+  if (!subscriptions.length) return { status: 'skipped', reason: 'No push subscriptions' };
+
+  const result = await sendToSubscriptions(subscriptions, message);
+  if (result.gone.length) {
+    await disableSubscriptions(user._id, result.gone).catch((err) =>
+      console.error(`Error disabling push subscriptions: ${err.message}`));
+  }
+
+  if (!result.sent) return { status: 'failed', error: result.errors.join('; ') };
+  return { status: 'sent' };
+};
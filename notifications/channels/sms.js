@@ -0,0 +1,42 @@
+const { createSmsAdapter } = require('../stubTransport');
+
+// SMS_PROVIDER picks the adapter; each exposes send({ to, text })
+const ADAPTERS = {
+  termii: require('../sms/termii'),
+  twilio: require('../sms/twilio'),
+  stub: createSmsAdapter
+};
+
+let adapter;
+
+const getAdapter = () => {
+  if (adapter === undefined) {
+    const create = ADAPTERS[process.env.SMS_PROVIDER];
+    adapter = create ? create() : null;
+  }
+  return adapter;
+};
+
+// Phone numbers must be in international format, e.g. +2348012345678
+const isValidPhone = (phone) => /^\+?[1-9]\d{7,14}$/.test(String(phone || '').replace(/[\s-]/g, ''));
+
+exports.name = 'sms';
+
+// Swap the adapter, e.g. for a test double. Pass undefined to go back to the configured one.
+exports.setAdapter = (value) => {
+  adapter = value;
+};
+
+exports.isConfigured = () => Boolean(getAdapter());
+
+exports.send = async (user, message) => {
+  const sms = getAdapter();
+  if (!sms) return { status: 'skipped', reason: 'SMS is not configured' };
+  if (!isValidPhone(user.phone)) return { status: 'skipped', reason: 'No valid phone number' };
+
+  await sms.send({
+    to: String(user.phone).replace(/[\s-]/g, ''),
+    text: `${message.title}: ${message.body}`
+  });
+  return { status: 'sent' };
+};
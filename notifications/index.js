@@ -0,0 +1,125 @@
+const User = require('../models/user');
+const Notification = require('../models/Notification');
+const push = require('./channels/push');
+const email = require('./channels/email');
+const sms = require('./channels/sms');
+const { quietHoursEnd } = require('../utils/timezone');
+
+const CHANNELS = {
+  [push.name]: push,
+  [email.name]: email,
+  [sms.name]: sms
+};
+
+// Channels used for each notification type until the user picks their own
+const DEFAULT_CHANNELS = {
+  documentExpiry: ['push', 'email'],
+  lessonReminder: ['push'],
+  bookingUpdate: ['push', 'email'],
+  securityAlert: ['email', 'push']
+};
+
+const NOTIFICATION_TYPES = Object.keys(DEFAULT_CHANNELS);
+
+// Sent even during quiet hours, since holding them would make them useless
+const TIME_SENSITIVE_TYPES = ['lessonReminder', 'securityAlert'];
+
+// Fields a user needs loaded for every channel, the message text and quiet hours to work
+const USER_FIELDS = 'email phone pushSubscriptions notificationChannels locale timezone quietHours';
+
+// The channels a user wants for a notification type
+const channelsFor = (user, type) => {
+  const chosen = user.notificationChannels && user.notificationChannels[type];
+  return chosen && chosen.length ? chosen : DEFAULT_CHANNELS[type];
+};
+
+// Record the notification in the user's inbox with each channel's outcome.
+// A failure here is logged rather than thrown so it never undoes a send.
+const recordNotification = async (user, type, message, results, heldUntil) => {
+  try {
+    await Notification.create({
+      user: user._id,
+      type,
+      title: message.title,
+      body: message.body,
+      url: message.url,
+      tag: message.tag,
+      actions: message.actions,
+      deliveries: results,
+      heldUntil
+    });
+  } catch (err) {
+    console.error(`Error saving notification: ${err.message}`);
+  }
+};
+
+// Send over each of the user's channels for the type, collecting the outcomes
+const sendOverChannels = async (user, type, message) => {
+  const results = [];
+
+  for (const name of channelsFor(user, type)) {
+    const channel = CHANNELS[name];
+    if (!channel) continue;
+
+    try {
+      results.push({ channel: name, ...(await channel.send(user, message)) });
+    } catch (err) {
+      console.error(`Error sending ${name} notification: ${err.message}`);
+      results.push({ channel: name, status: 'failed', error: err.message });
+    }
+  }
+
+  return results;
+};
+
+// Send a notification ({ title, body, url, tag }) to a user over their chosen channels
+// and save it to their inbox. `message` may instead be a function of the user, to build
+// text in their language. During the user's quiet hours it is saved and held instead.
+// Never throws; resolves to one { channel, status, reason?, error? } per channel.
+const notify = async (user, type, message) => {
+  const content = typeof message === 'function' ? message(user) : message;
+
+  const heldUntil = TIME_SENSITIVE_TYPES.includes(type)
+    ? null
+    : quietHoursEnd(user.quietHours, user.timezone);
+
+  if (heldUntil) {
+    await recordNotification(user, type, content, [], heldUntil);
+    return channelsFor(user, type).map((channel) => ({ channel, status: 'held' }));
+  }
+
+  const results = await sendOverChannels(user, type, content);
+  await recordNotification(user, type, content, results);
+  return results;
+};
+
+// Send a notification that was held for quiet hours and record how each channel fared
+const deliverHeld = async (notification) => {
+  const user = await User.findById(notification.user).select(USER_FIELDS);
+  const results = user ? await sendOverChannels(user, notification.type, notification.toObject()) : [];
+  await Notification.updateOne({ _id: notification._id }, { $set: { deliveries: results } });
+  return results;
+};
+
+// Same as notify, loading the user first
+const notifyUser = async (userId, type, message) => {
+  const user = await User.findById(userId).select(USER_FIELDS);
+  if (!user) return [];
+  return notify(user, type, message);
+};
+
+// Errors from a notify() result, for logs and job run records
+const failures = (results) =>
+  results.filter((r) => r.status === 'failed').map((r) => `${r.channel}: ${r.error}`);
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_CHANNELS,
+  NOTIFICATION_TYPES,
+  USER_FIELDS,
+  channelsFor,
+  notify,
+  notifyUser,
+  deliverHeld,
+  failures
+};
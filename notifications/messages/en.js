@@ -0,0 +1,54 @@
+// English notification text. Every key must exist here; other catalogs fall back to it.
+const days = (n) => `${n} day${n !== 1 ? 's' : ''}`;
+
+module.exports = {
+  'expiry.soon.title': ({ type }) => `Expiring Soon: ${type}`,
+  'expiry.upcoming.title': ({ type, days: n }) => `Expiring in ${n} Days: ${type}`,
+  'expiry.upcoming.body': ({ type, number, days: n, date }) =>
+    `Your ${type} (No. ${number}) expires in ${days(n)} on ${date}.`,
+  'expiry.expired.title': () => 'Document Expired',
+  'expiry.expired.body': ({ type, number, date }) => `Your ${type} (No. ${number}) expired on ${date}.`,
+  'expiry.action.snooze': ({ days }) => `Snooze ${days} Days`,
+  'expiry.action.renewed': () => 'I Renewed It',
+
+  'digest.daily.title': () => 'Your Daily Document Summary',
+  'digest.weekly.title': () => 'Your Weekly Document Summary',
+  'digest.body': ({ count, items }) =>
+    `${count} document${count !== 1 ? 's need' : ' needs'} attention: ${items}.`,
+  'digest.item.upcoming': ({ type, number, days: n, date }) =>
+    `${type} (No. ${number}) expires in ${days(n)} on ${date}`,
+  'digest.item.expired': ({ type, number, date }) => `${type} (No. ${number}) expired on ${date}`,
+  'digest.more': ({ count }) => `and ${count} more`,
+
+  'lesson.summary': ({ lessonType, day, time }) => `${lessonType} on ${day} at ${time}`,
+  'booking.confirm.title': () => 'Lesson Confirmed',
+  'booking.confirm.body': ({ lesson }) => `Your ${lesson} has been confirmed.`,
+  'booking.decline.title': () => 'Lesson Declined',
+  'booking.decline.body': ({ lesson }) => `Your ${lesson} was declined by the instructor.`,
+  'booking.reschedule.title': () => 'Lesson Rescheduled',
+  'booking.reschedule.body': ({ lesson }) => `Your lesson has been moved to ${lesson}.`,
+  'booking.cancel.title': () => 'Lesson Cancelled',
+  'booking.cancel.body': ({ lesson }) => `Your ${lesson} has been cancelled.`,
+  'lesson.reminder.hourBefore.title': () => 'Lesson in 1 Hour',
+  'lesson.reminder.dayBefore.title': () => 'Lesson Tomorrow',
+  'lesson.reminder.body': ({ lesson }) => `Reminder: your ${lesson} is coming up.`,
+
+  'account.verify.subject': () => 'Confirm Your Email Address',
+  'account.verify.body': ({ name, url, hours }) =>
+    `Hi ${name},\n\nPlease confirm your email address for DriveDoc by opening this link:\n${url}\n\n` +
+    `The link expires in ${hours} hours. Document reminders start once your address is confirmed.`,
+  'account.reset.subject': () => 'Reset Your Password',
+  'account.reset.body': ({ name, url, minutes }) =>
+    `Hi ${name},\n\nWe received a request to reset your DriveDoc password. Open this link to choose a new one:\n${url}\n\n` +
+    `The link expires in ${minutes} minutes. If you did not ask for this, you can ignore this email.`,
+  'account.link.subject': () => 'Confirm a New Way to Sign In',
+  'account.link.body': ({ name, provider, url, minutes }) =>
+    `Hi ${name},\n\nSomeone tried to sign in to DriveDoc with a ${provider} account that uses your email address. ` +
+    `To add ${provider} sign-in to your account, open this link:\n${url}\n\n` +
+    `The link expires in ${minutes} minutes. If this was not you, ignore this email and nothing will change.`,
+
+  'security.newLogin.title': () => 'New Sign-in to Your Account',
+  'security.newLogin.body': ({ device, ip, time }) =>
+    `Your DriveDoc account was signed in to from ${device} (IP ${ip}) on ${time}. ` +
+    'If this was not you, reset your password and sign out of your other devices.'
+};
@@ -0,0 +1,55 @@
+// French notification text
+const days = (n) => `${n} jour${n > 1 ? 's' : ''}`;
+
+module.exports = {
+  'expiry.soon.title': ({ type }) => `Expire bientôt : ${type}`,
+  'expiry.upcoming.title': ({ type, days: n }) => `Expire dans ${n} jours : ${type}`,
+  'expiry.upcoming.body': ({ type, number, days: n, date }) =>
+    `Votre ${type} (n° ${number}) expire dans ${days(n)}, le ${date}.`,
+  'expiry.expired.title': () => 'Document expiré',
+  'expiry.expired.body': ({ type, number, date }) => `Votre ${type} (n° ${number}) a expiré le ${date}.`,
+  'expiry.action.snooze': ({ days }) => `Reporter de ${days} jours`,
+  'expiry.action.renewed': () => 'Je l’ai renouvelé',
+
+  'digest.daily.title': () => 'Votre récapitulatif quotidien des documents',
+  'digest.weekly.title': () => 'Votre récapitulatif hebdomadaire des documents',
+  'digest.body': ({ count, items }) =>
+    `${count} document${count > 1 ? 's nécessitent' : ' nécessite'} votre attention : ${items}.`,
+  'digest.item.upcoming': ({ type, number, days: n, date }) =>
+    `${type} (n° ${number}) expire dans ${days(n)}, le ${date}`,
+  'digest.item.expired': ({ type, number, date }) => `${type} (n° ${number}) a expiré le ${date}`,
+  'digest.more': ({ count }) => `et ${count} autre${count > 1 ? 's' : ''}`,
+
+  'lesson.summary': ({ lessonType, day, time }) => `leçon « ${lessonType} » du ${day} à ${time}`,
+  'booking.confirm.title': () => 'Leçon confirmée',
+  'booking.confirm.body': ({ lesson }) => `Votre ${lesson} a été confirmée.`,
+  'booking.decline.title': () => 'Leçon refusée',
+  'booking.decline.body': ({ lesson }) => `Votre ${lesson} a été refusée par le moniteur.`,
+  'booking.reschedule.title': () => 'Leçon déplacée',
+  'booking.reschedule.body': ({ lesson }) => `Votre leçon a été déplacée : ${lesson}.`,
+  'booking.cancel.title': () => 'Leçon annulée',
+  'booking.cancel.body': ({ lesson }) => `Votre ${lesson} a été annulée.`,
+  'lesson.reminder.hourBefore.title': () => 'Leçon dans 1 heure',
+  'lesson.reminder.dayBefore.title': () => 'Leçon demain',
+  'lesson.reminder.body': ({ lesson }) => `Rappel : votre ${lesson} approche.`,
+
+  'account.verify.subject': () => 'Confirmez votre adresse e-mail',
+  'account.verify.body': ({ name, url, hours }) =>
+    `Bonjour ${name},\n\nVeuillez confirmer votre adresse e-mail DriveDoc en ouvrant ce lien :\n${url}\n\n` +
+    `Le lien expire dans ${hours} heures. Les rappels de documents commencent une fois votre adresse confirmée.`,
+  'account.reset.subject': () => 'Réinitialisez votre mot de passe',
+  'account.reset.body': ({ name, url, minutes }) =>
+    `Bonjour ${name},\n\nNous avons reçu une demande de réinitialisation de votre mot de passe DriveDoc. ` +
+    `Ouvrez ce lien pour en choisir un nouveau :\n${url}\n\n` +
+    `Le lien expire dans ${minutes} minutes. Si vous n’êtes pas à l’origine de cette demande, ignorez cet e-mail.`,
+  'account.link.subject': () => 'Confirmez un nouveau moyen de connexion',
+  'account.link.body': ({ name, provider, url, minutes }) =>
+    `Bonjour ${name},\n\nQuelqu’un a tenté de se connecter à DriveDoc avec un compte ${provider} utilisant votre adresse e-mail. ` +
+    `Pour ajouter la connexion ${provider} à votre compte, ouvrez ce lien :\n${url}\n\n` +
+    `Le lien expire dans ${minutes} minutes. Si ce n’était pas vous, ignorez cet e-mail et rien ne changera.`,
+
+  'security.newLogin.title': () => 'Nouvelle connexion à votre compte',
+  'security.newLogin.body': ({ device, ip, time }) =>
+    `Une connexion à votre compte DriveDoc a eu lieu depuis ${device} (IP ${ip}) le ${time}. ` +
+    'Si ce n’était pas vous, réinitialisez votre mot de passe et déconnectez vos autres appareils.'
+};
@@ -0,0 +1,51 @@
+// Hausa notification text
+module.exports = {
+  'expiry.soon.title': ({ type }) => `Yana gab da ƙarewa: ${type}`,
+  'expiry.upcoming.title': ({ type, days }) => `Zai ƙare cikin kwanaki ${days}: ${type}`,
+  'expiry.upcoming.body': ({ type, number, days, date }) =>
+    `${type} naka (Lamba ${number}) zai ƙare cikin kwanaki ${days}, a ranar ${date}.`,
+  'expiry.expired.title': () => 'Takarda ta ƙare',
+  'expiry.expired.body': ({ type, number, date }) => `${type} naka (Lamba ${number}) ya ƙare a ranar ${date}.`,
+  'expiry.action.snooze': ({ days }) => `Jinkirta kwanaki ${days}`,
+  'expiry.action.renewed': () => 'Na sabunta shi',
+
+  'digest.daily.title': () => 'Taƙaitaccen bayanin takardunka na yau',
+  'digest.weekly.title': () => 'Taƙaitaccen bayanin takardunka na mako',
+  'digest.body': ({ count, items }) => `Takardu ${count} suna buƙatar kulawarka: ${items}.`,
+  'digest.item.upcoming': ({ type, number, days, date }) =>
+    `${type} (Lamba ${number}) zai ƙare cikin kwanaki ${days}, a ranar ${date}`,
+  'digest.item.expired': ({ type, number, date }) => `${type} (Lamba ${number}) ya ƙare a ranar ${date}`,
+  'digest.more': ({ count }) => `da wasu ${count}`,
+
+  'lesson.summary': ({ lessonType, day, time }) => `darasin ${lessonType} ranar ${day} da ƙarfe ${time}`,
+  'booking.confirm.title': () => 'An tabbatar da darasi',
+  'booking.confirm.body': ({ lesson }) => `An tabbatar da ${lesson}.`,
+  'booking.decline.title': () => 'An ƙi darasi',
+  'booking.decline.body': ({ lesson }) => `Malamin tuƙi ya ƙi ${lesson}.`,
+  'booking.reschedule.title': () => 'An canza lokacin darasi',
+  'booking.reschedule.body': ({ lesson }) => `An mayar da darasinka zuwa ${lesson}.`,
+  'booking.cancel.title': () => 'An soke darasi',
+  'booking.cancel.body': ({ lesson }) => `An soke ${lesson}.`,
+  'lesson.reminder.hourBefore.title': () => 'Darasi cikin awa 1',
+  'lesson.reminder.dayBefore.title': () => 'Darasi gobe',
+  'lesson.reminder.body': ({ lesson }) => `Tunatarwa: ${lesson} yana nan tafe.`,
+
+  'account.verify.subject': () => 'Tabbatar da adireshin imel ɗinka',
+  'account.verify.body': ({ name, url, hours }) =>
+    `Sannu ${name},\n\nDon Allah ka tabbatar da adireshin imel ɗinka na DriveDoc ta buɗe wannan mahaɗin:\n${url}\n\n` +
+    `Mahaɗin zai ƙare cikin awanni ${hours}. Tunatarwar takardu za ta fara da zarar ka tabbatar da adireshinka.`,
+  'account.reset.subject': () => 'Sake saita kalmar sirrinka',
+  'account.reset.body': ({ name, url, minutes }) =>
+    `Sannu ${name},\n\nMun karɓi buƙatar sake saita kalmar sirrinka ta DriveDoc. Buɗe wannan mahaɗin don zaɓar sabuwa:\n${url}\n\n` +
+    `Mahaɗin zai ƙare cikin mintuna ${minutes}. Idan ba kai ka nema ba, za ka iya watsi da wannan imel.`,
+  'account.link.subject': () => 'Tabbatar da sabuwar hanyar shiga',
+  'account.link.body': ({ name, provider, url, minutes }) =>
+    `Sannu ${name},\n\nWani ya yi ƙoƙarin shiga DriveDoc da asusun ${provider} mai amfani da adireshin imel ɗinka. ` +
+    `Don ƙara shiga ta ${provider} a asusunka, buɗe wannan mahaɗin:\n${url}\n\n` +
+    `Mahaɗin zai ƙare cikin mintuna ${minutes}. Idan ba kai ba ne, ka yi watsi da wannan imel kuma babu abin da zai canza.`,
+
+  'security.newLogin.title': () => 'Sabon shiga cikin asusunka',
+  'security.newLogin.body': ({ device, ip, time }) =>
+    `An shiga asusunka na DriveDoc daga ${device} (IP ${ip}) a ${time}. ` +
+    'Idan ba kai ba ne, sake saita kalmar sirrinka kuma ka fita daga sauran na\'urorinka.'
+};
@@ -0,0 +1,51 @@
+// Igbo notification text
+module.exports = {
+  'expiry.soon.title': ({ type }) => `Ọ fọrọ nntakịrị ka ọ gwụ: ${type}`,
+  'expiry.upcoming.title': ({ type, days }) => `Ọ ga-agwụ n'ime ụbọchị ${days}: ${type}`,
+  'expiry.upcoming.body': ({ type, number, days, date }) =>
+    `${type} gị (Nọmba ${number}) ga-agwụ n'ime ụbọchị ${days}, na ${date}.`,
+  'expiry.expired.title': () => 'Akwụkwọ agwụla',
+  'expiry.expired.body': ({ type, number, date }) => `${type} gị (Nọmba ${number}) gwụrụ na ${date}.`,
+  'expiry.action.snooze': ({ days }) => `Yigharịa ụbọchị ${days}`,
+  'expiry.action.renewed': () => 'Emegharịala m ya',
+
+  'digest.daily.title': () => 'Nchịkọta akwụkwọ gị nke ụbọchị a',
+  'digest.weekly.title': () => 'Nchịkọta akwụkwọ gị nke izu a',
+  'digest.body': ({ count, items }) => `Akwụkwọ ${count} chọrọ nlebara anya gị: ${items}.`,
+  'digest.item.upcoming': ({ type, number, days, date }) =>
+    `${type} (Nọmba ${number}) ga-agwụ n'ime ụbọchị ${days}, na ${date}`,
+  'digest.item.expired': ({ type, number, date }) => `${type} (Nọmba ${number}) gwụrụ na ${date}`,
+  'digest.more': ({ count }) => `na ${count} ndị ọzọ`,
+
+  'lesson.summary': ({ lessonType, day, time }) => `nkuzi ${lessonType} na ${day} n'elekere ${time}`,
+  'booking.confirm.title': () => 'Ekwenyela nkuzi',
+  'booking.confirm.body': ({ lesson }) => `Ekwenyela ${lesson} gị.`,
+  'booking.decline.title': () => 'Ajụla nkuzi',
+  'booking.decline.body': ({ lesson }) => `Onye nkuzi ajụla ${lesson} gị.`,
+  'booking.reschedule.title': () => 'Agbanweela oge nkuzi',
+  'booking.reschedule.body': ({ lesson }) => `Ebugharịla nkuzi gị gaa ${lesson}.`,
+  'booking.cancel.title': () => 'Akagbuola nkuzi',
+  'booking.cancel.body': ({ lesson }) => `Akagbuola ${lesson} gị.`,
+  'lesson.reminder.hourBefore.title': () => "Nkuzi n'ime otu awa",
+  'lesson.reminder.dayBefore.title': () => 'Nkuzi echi',
+  'lesson.reminder.body': ({ lesson }) => `Ncheta: ${lesson} gị na-abịa.`,
+
+  'account.verify.subject': () => 'Kwado adreesị email gị',
+  'account.verify.body': ({ name, url, hours }) =>
+    `Ndewo ${name},\n\nBiko kwado adreesị email gị maka DriveDoc site n'imepe njikọ a:\n${url}\n\n` +
+    `Njikọ a ga-agwụ n'ime awa ${hours}. Ncheta akwụkwọ ga-amalite ozugbo i kwadoro adreesị gị.`,
+  'account.reset.subject': () => 'Tọgharịa okwuntughe gị',
+  'account.reset.body': ({ name, url, minutes }) =>
+    `Ndewo ${name},\n\nAnyị natara arịrịọ ịtọgharịa okwuntughe DriveDoc gị. Mepee njikọ a ka ịhọrọ nke ọhụrụ:\n${url}\n\n` +
+    `Njikọ a ga-agwụ n'ime nkeji ${minutes}. Ọ bụrụ na ọ bụghị gị rịọrọ ya, ị nwere ike ileghara email a anya.`,
+  'account.link.subject': () => 'Kwado ụzọ ọhụrụ isi banye',
+  'account.link.body': ({ name, provider, url, minutes }) =>
+    `Ndewo ${name},\n\nOnye nwara iji akaụntụ ${provider} nke na-eji adreesị email gị banye na DriveDoc. ` +
+    `Iji tinye nbanye ${provider} n'akaụntụ gị, mepee njikọ a:\n${url}\n\n` +
+    `Njikọ a ga-agwụ n'ime nkeji ${minutes}. Ọ bụrụ na ọ bụghị gị, leghara email a anya, ọ dịghị ihe ga-agbanwe.`,
+
+  'security.newLogin.title': () => 'Nbanye ọhụrụ n\'akaụntụ gị',
+  'security.newLogin.body': ({ device, ip, time }) =>
+    `E jiri ${device} (IP ${ip}) banye n'akaụntụ DriveDoc gị na ${time}. ` +
+    'Ọ bụrụ na ọ bụghị gị, tọgharịa okwuntughe gị ma pụọ na ngwaọrụ gị ndị ọzọ.'
+};
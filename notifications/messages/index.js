@@ -0,0 +1,31 @@
+// Message catalogs for notification text, keyed by locale
+const CATALOGS = {
+  en: require('./en'),
+  fr: require('./fr'),
+  yo: require('./yo'),
+  ha: require('./ha'),
+  ig: require('./ig')
+};
+
+const DEFAULT_LOCALE = 'en';
+const LOCALES = Object.keys(CATALOGS);
+
+const resolveLocale = (locale) => (CATALOGS[locale] ? locale : DEFAULT_LOCALE);
+
+// The text for `key` in the locale, falling back to English for missing keys
+const t = (locale, key, params = {}) => {
+  const message = CATALOGS[resolveLocale(locale)][key] || CATALOGS[DEFAULT_LOCALE][key];
+  if (!message) throw new Error(`Unknown message: ${key}`);
+  return message(params);
+};
+
+// Format a calendar date (stored as midnight UTC, like expiry and lesson dates) in the locale
+const formatDate = (date, locale, options = { year: 'numeric', month: 'long', day: 'numeric' }) =>
+  new Date(date).toLocaleDateString(resolveLocale(locale), { ...options, timeZone: 'UTC' });
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  t,
+  formatDate
+};
@@ -0,0 +1,51 @@
+// Yoruba notification text
+module.exports = {
+  'expiry.soon.title': ({ type }) => `Ó fẹ́ẹ̀ parí: ${type}`,
+  'expiry.upcoming.title': ({ type, days }) => `Yóò parí ní ọjọ́ ${days}: ${type}`,
+  'expiry.upcoming.body': ({ type, number, days, date }) =>
+    `${type} rẹ (Nọ́mbà ${number}) yóò parí ní ọjọ́ ${days} sí i, ní ${date}.`,
+  'expiry.expired.title': () => 'Ìwé ti parí',
+  'expiry.expired.body': ({ type, number, date }) => `${type} rẹ (Nọ́mbà ${number}) ti parí ní ${date}.`,
+  'expiry.action.snooze': ({ days }) => `Sún síwájú ọjọ́ ${days}`,
+  'expiry.action.renewed': () => 'Mo ti sọ ọ́ dọ̀tun',
+
+  'digest.daily.title': () => 'Àkópọ̀ ìwé rẹ ti ojoojúmọ́',
+  'digest.weekly.title': () => 'Àkópọ̀ ìwé rẹ ti ọ̀sẹ̀ yìí',
+  'digest.body': ({ count, items }) => `Ìwé ${count} nílò àkíyèsí rẹ: ${items}.`,
+  'digest.item.upcoming': ({ type, number, days, date }) =>
+    `${type} (Nọ́mbà ${number}) yóò parí ní ọjọ́ ${days} sí i, ní ${date}`,
+  'digest.item.expired': ({ type, number, date }) => `${type} (Nọ́mbà ${number}) ti parí ní ${date}`,
+  'digest.more': ({ count }) => `àti ${count} mìíràn`,
+
+  'lesson.summary': ({ lessonType, day, time }) => `ẹ̀kọ́ ${lessonType} ní ${day} ní agogo ${time}`,
+  'booking.confirm.title': () => 'A ti fìdí ẹ̀kọ́ múlẹ̀',
+  'booking.confirm.body': ({ lesson }) => `A ti fìdí ${lesson} rẹ múlẹ̀.`,
+  'booking.decline.title': () => 'Olùkọ́ kọ ẹ̀kọ́ náà',
+  'booking.decline.body': ({ lesson }) => `Olùkọ́ ti kọ ${lesson} rẹ.`,
+  'booking.reschedule.title': () => 'A ti yí àkókò ẹ̀kọ́ padà',
+  'booking.reschedule.body': ({ lesson }) => `A ti gbé ẹ̀kọ́ rẹ lọ sí ${lesson}.`,
+  'booking.cancel.title': () => 'A ti fagilé ẹ̀kọ́',
+  'booking.cancel.body': ({ lesson }) => `A ti fagilé ${lesson} rẹ.`,
+  'lesson.reminder.hourBefore.title': () => 'Ẹ̀kọ́ ní wákàtí kan',
+  'lesson.reminder.dayBefore.title': () => 'Ẹ̀kọ́ lọ́la',
+  'lesson.reminder.body': ({ lesson }) => `Ìránnilétí: ${lesson} rẹ ń bọ̀.`,
+
+  'account.verify.subject': () => 'Jẹ́rìí sí àdírẹ́sì ímeèlì rẹ',
+  'account.verify.body': ({ name, url, hours }) =>
+    `Ẹ n lẹ ${name},\n\nJọ̀wọ́ jẹ́rìí sí àdírẹ́sì ímeèlì rẹ fún DriveDoc nípa ṣíṣí ìjápọ̀ yìí:\n${url}\n\n` +
+    `Ìjápọ̀ náà yóò dópin ní wákàtí ${hours}. Ìránnilétí ìwé yóò bẹ̀rẹ̀ lẹ́yìn tí o bá jẹ́rìí sí àdírẹ́sì rẹ.`,
+  'account.reset.subject': () => 'Tún ọ̀rọ̀ aṣínà rẹ ṣe',
+  'account.reset.body': ({ name, url, minutes }) =>
+    `Ẹ n lẹ ${name},\n\nA gba ìbéèrè láti tún ọ̀rọ̀ aṣínà DriveDoc rẹ ṣe. Ṣí ìjápọ̀ yìí láti yan òmíràn:\n${url}\n\n` +
+    `Ìjápọ̀ náà yóò dópin ní ìṣẹ́jú ${minutes}. Tí kì í bá ṣe ìwọ ló béèrè, o lè fojú fo ímeèlì yìí.`,
+  'account.link.subject': () => 'Jẹ́rìí sí ọ̀nà tuntun láti wọlé',
+  'account.link.body': ({ name, provider, url, minutes }) =>
+    `Ẹ n lẹ ${name},\n\nẸnìkan gbìyànjú láti wọlé sí DriveDoc pẹ̀lú àkọọ́lẹ̀ ${provider} tó ń lo àdírẹ́sì ímeèlì rẹ. ` +
+    `Láti fi wíwọlé ${provider} kún àkọọ́lẹ̀ rẹ, ṣí ìjápọ̀ yìí:\n${url}\n\n` +
+    `Ìjápọ̀ náà yóò dópin ní ìṣẹ́jú ${minutes}. Tí kì í bá ṣe ìwọ, fojú fo ímeèlì yìí, kò sí ohun tí yóò yípadà.`,
+
+  'security.newLogin.title': () => 'Wíwọlé tuntun sí àkọọ́lẹ̀ rẹ',
+  'security.newLogin.body': ({ device, ip, time }) =>
+    `Ẹnìkan wọlé sí àkọọ́lẹ̀ DriveDoc rẹ láti ${device} (IP ${ip}) ní ${time}. ` +
+    'Tí kì í bá ṣe ìwọ, tún ọ̀rọ̀ aṣínà rẹ ṣe kí o sì jáde kúrò lórí àwọn ẹ̀rọ rẹ mìíràn.'
+};
@@ -0,0 +1,21 @@
+const axios = require('axios');
+
+// Termii (https://developers.termii.com); base URL is configurable for local stubs
+module.exports = () => {
+  const baseURL = (process.env.SMS_BASE_URL || 'https://api.ng.termii.com/api').replace(/\/$/, '');
+
+  return {
+    name: 'termii',
+    send: async ({ to, text }) => {
+      const res = await axios.post(`${baseURL}/sms/send`, {
+        api_key: process.env.SMS_API_KEY,
+        to: to.replace(/^\+/, ''),
+        from: process.env.SMS_SENDER_ID || 'DriveDoc',
+        sms: text,
+        type: 'plain',
+        channel: 'generic'
+      });
+      return { id: res.data.message_id };
+    }
+  };
+};
@@ -0,0 +1,22 @@
+const axios = require('axios');
+
+// Twilio Messages API; base URL is configurable for local stubs
+module.exports = () => {
+  const baseURL = (process.env.SMS_BASE_URL || 'https://api.twilio.com').replace(/\/$/, '');
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+
+  return {
+    name: 'twilio',
+    send: async ({ to, text }) => {
+      const res = await axios.post(
+        `${baseURL}/2010-04-01/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({ To: to, From: process.env.SMS_SENDER_ID, Body: text }).toString(),
+        {
+          auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        }
+      );
+      return { id: res.data.sid };
+    }
+  };
+};
@@ -0,0 +1,31 @@
+// In-memory transport used instead of SMTP or an SMS provider when the channel's
+// transport is set to "stub", so notifications can be exercised offline.
+const outbox = [];
+
+// Most messages kept, oldest dropped first
+const MAX_OUTBOX = 500;
+
+const capture = (channel, message) => {
+  outbox.push({ channel, ...message, at: new Date() });
+  if (outbox.length > MAX_OUTBOX) outbox.shift();
+  console.log(`[stub:${channel}] to ${message.to}: ${message.subject || message.text}`);
+};
+
+// Nodemailer-compatible
+exports.createMailTransport = () => ({
+  sendMail: async (mail) => {
+    capture('email', mail);
+    return { messageId: `stub-${Date.now()}` };
+  }
+});
+
+// Same interface as the adapters in notifications/sms
+exports.createSmsAdapter = () => ({
+  name: 'stub',
+  send: async ({ to, text }) => {
+    capture('sms', { to, text });
+    return { id: `stub-${Date.now()}` };
+  }
+});
+
+exports.outbox = outbox;
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getUsers,
+  updateUserRole,
+  updateUserStatus,
+  resetUserTwoFactor,
+  getJobs,
+  runJob
+} = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Admins only
+router.use(protect, authorize('admin'));
+
+router.get('/users', getUsers);
+router.put('/users/:id/role', updateUserRole);
+router.put('/users/:id/status', updateUserStatus);
+router.post('/users/:id/2fa/reset', resetUserTwoFactor);
+
+router.get('/jobs', getJobs);
+router.post('/jobs/:name/run', runJob);
+
+module.exports = router;
@@ -1,5 +1,33 @@
 const express = require("express");
-const { signup, login, getMe, oauthGoogle, oauthFacebook } = require("../controllers/authControllers");
+const {
+  signup,
+  login,
+  getMe,
+  completeProfile,
+  refreshToken,
+  logout,
+  getSessions,
+  deleteSession,
+  deleteAllSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  getLoginHistory,
+  oauthGoogle,
+  oauthFacebook,
+  confirmProviderLink
+} = require("../controllers/authControllers");
+const { getPreferences, updatePreferences } = require("../controllers/preferencesController");
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require("../controllers/twoFactorController");
+const { getProviders, linkProvider, unlinkProvider } = require("../controllers/providerController");
 const { protect } = require("../middleware/auth");
 
 const router = express.Router();
@@ -7,7 +35,32 @@ const router = express.Router();
 router.post("/signup", signup);
 router.post("/login", login);
 router.get("/me", protect, getMe);
+router.put("/complete-profile", protect, completeProfile);
+router.post("/refresh", refreshToken);
+router.post("/logout", logout);
+router.route("/sessions")
+  .get(protect, getSessions)
+  .delete(protect, deleteAllSessions);
+router.delete("/sessions/:id", protect, deleteSession);
+router.get("/login-history", protect, getLoginHistory);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password/:token", resetPassword);
+router.post("/verify-email/:token", verifyEmail);
+router.post("/resend-verification", protect, resendVerification);
+router.get("/preferences", protect, getPreferences);
+router.put("/preferences", protect, updatePreferences);
+router.get("/2fa", protect, getTwoFactorStatus);
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/enable", protect, enableTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+router.post("/2fa/verify", verifyTwoFactorLogin);
 router.post("/oauth/google", oauthGoogle);
 router.post("/oauth/facebook", oauthFacebook);
+router.post("/oauth/link/:token", confirmProviderLink);
+router.get("/providers", protect, getProviders);
+router.route("/providers/:provider")
+  .post(protect, linkProvider)
+  .delete(protect, unlinkProvider);
 
 module.exports = router;
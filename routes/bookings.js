@@ -1,6 +1,17 @@
 const express = require('express');
-const { createBooking, getMyBookings, cancelBooking } = require('../controllers/bookingController');
-const { protect } = require('../middleware/auth');
+const {
+    createBooking,
+    getMyBookings,
+    getAvailability,
+    getTeachingBookings,
+    cancelBooking,
+    rescheduleBooking,
+    confirmBooking,
+    declineBooking,
+    markNoShow
+} = require('../controllers/bookingController');
+const { saveFeedback, getFeedback, rateInstructor } = require('../controllers/progressController');
+const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -10,7 +21,32 @@ router.route('/')
     .get(getMyBookings)
     .post(createBooking);
 
+router.route('/availability')
+    .get(getAvailability);
+
+router.route('/teaching')
+    .get(authorize('instructor', 'admin'), getTeachingBookings);
+
 router.route('/:id/cancel')
     .put(cancelBooking);
 
+router.route('/:id/reschedule')
+    .put(rescheduleBooking);
+
+router.route('/:id/confirm')
+    .put(authorize('instructor', 'admin'), confirmBooking);
+
+router.route('/:id/decline')
+    .put(authorize('instructor', 'admin'), declineBooking);
+
+router.route('/:id/no-show')
+    .put(authorize('instructor', 'admin'), markNoShow);
+
+router.route('/:id/feedback')
+    .get(getFeedback)
+    .put(authorize('instructor', 'admin'), saveFeedback);
+
+router.route('/:id/rating')
+    .post(rateInstructor);
+
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { getCredits } = require('../controllers/creditController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', protect, getCredits);
+
+module.exports = router;
@@ -1,23 +1,38 @@
 const express = require('express');
 const {
   getDocuments,
+  getDocumentSummary,
   addDocument,
   updateDocument,
-  deleteDocument
+  deleteDocument,
+  snoozeDocument,
+  snoozeWithToken,
+  getRenewalDocument,
+  renewWithToken
 } = require('../controllers/documentsControllers');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Protect all routes
+// Push notification actions authenticate with their own short-lived token
+router.post('/actions/snooze', snoozeWithToken);
+router.route('/actions/renew')
+  .get(getRenewalDocument)
+  .post(renewWithToken);
+
+// Protect all other routes
 router.use(protect);
 
 router.route('/')
   .get(getDocuments)
   .post(addDocument);
 
+router.get('/summary', getDocumentSummary);
+
 router.route('/:id')
   .put(updateDocument)
   .delete(deleteDocument);
 
+router.post('/:id/snooze', snoozeDocument);
+
 module.exports = router;
\ No newline at end of file
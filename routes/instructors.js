@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getInstructors,
+  createInstructor,
+  getMyProfile,
+  updateMyProfile,
+  updateInstructor
+} = require('../controllers/instructorController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router.route('/')
+  .get(getInstructors)
+  .post(authorize('admin'), createInstructor);
+
+router.route('/me')
+  .get(authorize('instructor', 'admin'), getMyProfile)
+  .put(authorize('instructor', 'admin'), updateMyProfile);
+
+router.route('/:id')
+  .put(authorize('admin'), updateInstructor);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getLessonPackages,
+  createLessonPackage,
+  updateLessonPackage,
+  deleteLessonPackage
+} = require('../controllers/lessonPackageController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router.route('/')
+  .get(getLessonPackages)
+  .post(authorize('admin'), createLessonPackage);
+
+router.route('/:id')
+  .put(authorize('admin'), updateLessonPackage)
+  .delete(authorize('admin'), deleteLessonPackage);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getPublicKey,
+  subscribe,
+  optOut,
+  getNotifications,
+  markRead,
+  markUnread,
+  markAllRead
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/public-key', getPublicKey);
+router.post('/subscribe', protect, subscribe);
+router.post('/opt-out', protect, optOut);
+
+router.get('/', protect, getNotifications);
+router.patch('/read-all', protect, markAllRead);
+router.patch('/:id/read', protect, markRead);
+router.patch('/:id/unread', protect, markUnread);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  initializePayment,
+  verifyPayment,
+  paymentWebhook,
+  refundPaymentById,
+  getMyPayments,
+  getReceipt
+} = require('../controllers/paymentController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Called by the providers, authenticated by their signature headers.
+// The bare /webhook path is kept for Paystack dashboards configured before multi-provider support.
+router.post('/webhook', paymentWebhook);
+router.post('/webhook/:provider', paymentWebhook);
+
+router.get('/', protect, getMyPayments);
+router.post('/initialize', protect, initializePayment);
+router.post('/verify', protect, verifyPayment);
+router.get('/:id/receipt', protect, getReceipt);
+router.post('/:id/refund', protect, authorize('admin'), refundPaymentById);
+
+module.exports = router;
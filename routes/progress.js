@@ -0,0 +1,9 @@
+const express = require('express');
+const { getProgress } = require('../controllers/progressController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', protect, getProgress);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getRenewalProducts,
+  createRenewalProduct,
+  updateRenewalProduct,
+  deleteRenewalProduct
+} = require('../controllers/renewalProductController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+router.route('/')
+  .get(getRenewalProducts)
+  .post(authorize('admin'), createRenewalProduct);
+
+router.route('/:id')
+  .put(authorize('admin'), updateRenewalProduct)
+  .delete(authorize('admin'), deleteRenewalProduct);
+
+module.exports = router;
@@ -8,9 +8,7 @@ const compression = require("compression");
 const path = require("path");
 const webpush = require("web-push");
 const connectDB = require("./config/db");
-const { protect } = require("./middleware/auth");
-const User = require("./models/user");
-const Document = require("./models/Documents");
+const { startScheduler } = require("./jobs/scheduler");
 
 // Load env vars
 dotenv.config();
@@ -30,6 +28,14 @@ connectDB().then(() => {
 const authRoutes = require("./routes/auth");
 const documentRoutes = require("./routes/documents");
 const bookingRoutes = require("./routes/bookings");
+const paymentRoutes = require("./routes/payments");
+const renewalProductRoutes = require("./routes/renewalProducts");
+const adminRoutes = require("./routes/admin");
+const instructorRoutes = require("./routes/instructors");
+const lessonPackageRoutes = require("./routes/lessonPackages");
+const creditRoutes = require("./routes/credits");
+const progressRoutes = require("./routes/progress");
+const notificationRoutes = require("./routes/notifications");
 
 const app = express();
 
@@ -78,7 +84,12 @@ app.use(helmet({
   crossOriginOpenerPolicy: { policy: "same-origin-allow-popups" },
 }));
 app.use(compression());
-app.use(express.json());
+// Keep the raw body around so webhook signatures can be checked
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 
@@ -92,6 +103,28 @@ const generalLimiter = rateLimit({
 });
 app.use("/api/", generalLimiter);
 
+// Stricter limit on sign-in and account routes; only failed requests count, so
+// signed-in users reading their preferences or sessions aren't held back
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  skipSuccessfulRequests: true,
+  message: "Too many failed authentication attempts from this IP, please try again later.",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use("/api/auth", authLimiter);
+
+// Routes that send email always succeed, so authLimiter never counts them; count every request
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: "Too many email requests from this IP, please try again later.",
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use(["/api/auth/forgot-password", "/api/auth/resend-verification"], emailLimiter);
+
 // 4. Notifications Configuration
 if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
   console.log("✉️  Configuring Web Push...");
@@ -108,39 +141,14 @@ if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
 app.use("/api/auth", authRoutes);
 app.use("/api/documents", documentRoutes);
 app.use("/api/bookings", bookingRoutes);
-
-app.get("/api/notifications/public-key", (req, res) => {
-  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY || "" });
-});
-
-app.post("/api/notifications/subscribe", protect, async (req, res) => {
-  try {
-    const sub = req.body;
-    await User.updateOne(
-      { _id: req.user.id, "pushSubscriptions.endpoint": { $ne: sub.endpoint } },
-      { $addToSet: { pushSubscriptions: { endpoint: sub.endpoint, keys: sub.keys, enabled: true } } }
-    );
-    await User.updateOne(
-      { _id: req.user.id, "pushSubscriptions.endpoint": sub.endpoint },
-      { $set: { "pushSubscriptions.$.keys": sub.keys, "pushSubscriptions.$.enabled": true } }
-    );
-    res.status(201).json({ success: true });
-  } catch (e) {
-    res.status(500).json({ success: false });
-  }
-});
-
-// Other notification routes...
-app.post("/api/notifications/opt-out", protect, async (req, res) => {
-  try {
-    const { endpoint } = req.body;
-    await User.updateOne(
-      { _id: req.user.id, "pushSubscriptions.endpoint": endpoint },
-      { $set: { "pushSubscriptions.$.enabled": false } }
-    );
-    res.json({ success: true });
-  } catch (_) { res.status(500).json({ success: false }); }
-});
+app.use("/api/payments", paymentRoutes);
+app.use("/api/renewal-products", renewalProductRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/instructors", instructorRoutes);
+app.use("/api/lesson-packages", lessonPackageRoutes);
+app.use("/api/credits", creditRoutes);
+app.use("/api/progress", progressRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -171,127 +179,9 @@ const server = app.listen(PORT, () => {
   console.log(`✅ Server is LIVE on port ${PORT}`);
 });
 
-// Expiry Check Interval
-const notifyExpiredDocuments = async () => { /* ... existing logic ... */ };
+// 8. Background jobs (expiry notifications, booking completion, lesson reminders)
 const intervalMs = process.env.NODE_ENV === "development" ? 60 * 1000 : 60 * 60 * 1000;
-// We'll keep the logic but for brevity I'll assume it's there or just simplify for the fix.
-// Actually I should keep the full logic to avoid deleting user code.
-
-// ... Full notification logic restored below ...
-const fullNotifyExpired = async () => {
-  try {
-    const now = new Date();
-    const documents = await Document.find({});
-    const usersMap = {};
-
-    for (const doc of documents) {
-      const expiry = new Date(doc.expiryDate);
-      const diffMs = expiry - now;
-      const daysUntilExpiry = diffMs / (1000 * 60 * 60 * 24);
-
-      let shouldNotify = false;
-      let notificationTitle = "";
-      let notificationBody = "";
-      let notificationTag = `expiry-${doc._id}`;
-      let notificationType = ""; // 'monthBefore', 'daily', 'expired'
-
-      const expiryDateStr = expiry.toLocaleDateString(undefined, { 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-      });
-
-      if (daysUntilExpiry < 0) {
-        // Document has expired
-        if (!doc.notifications || !doc.notifications.expiredSent) {
-          shouldNotify = true;
-          notificationType = "expired";
-          notificationTitle = "Document Expired";
-          notificationBody = `Your ${doc.type} (No. ${doc.number}) expired on ${expiryDateStr}.`;
-        }
-      } else if (daysUntilExpiry <= 7) {
-        // Daily countdown: notify every day starting 7 days prior up to expiration
-        const todayStr = now.toDateString();
-        const lastDailySentStr = doc.notifications?.lastDailySentAt 
-          ? new Date(doc.notifications.lastDailySentAt).toDateString() 
-          : "";
-
-        if (todayStr !== lastDailySentStr) {
-          shouldNotify = true;
-          notificationType = "daily";
-          const daysRound = Math.ceil(daysUntilExpiry);
-          notificationTitle = `Expiring Soon: ${doc.type}`;
-          notificationBody = `Your ${doc.type} (No. ${doc.number}) expires in ${daysRound} day${daysRound !== 1 ? 's' : ''} on ${expiryDateStr}.`;
-        }
-      } else if (daysUntilExpiry <= 30 && daysUntilExpiry > 7) {
-        // 1 month before warning
-        if (!doc.notifications || !doc.notifications.monthBeforeSent) {
-          shouldNotify = true;
-          notificationType = "monthBefore";
-          notificationTitle = `Expiring in 1 Month: ${doc.type}`;
-          notificationBody = `Your ${doc.type} (No. ${doc.number}) will expire in 30 days on ${expiryDateStr}.`;
-        }
-      }
-
-      if (shouldNotify) {
-        const uid = String(doc.user);
-        if (!usersMap[uid]) {
-          const u = await User.findById(uid);
-          usersMap[uid] = u ? u.pushSubscriptions.filter((s) => s.enabled) : [];
-        }
-
-        const subscriptions = usersMap[uid];
-        for (const sub of subscriptions) {
-          try {
-            await webpush.sendNotification(
-              { endpoint: sub.endpoint, keys: sub.keys },
-              JSON.stringify({
-                title: notificationTitle,
-                options: {
-                  body: notificationBody,
-                  tag: notificationTag,
-                  icon: "/icons/icon-192x192.png",
-                  badge: "/icons/badge-72x72.png",
-                  vibrate: [200, 100, 200],
-                  renotify: true,
-                  requireInteraction: true,
-                  data: {
-                    url: `${process.env.CLIENT_URL || 'http://localhost:5173'}/documents`
-                  }
-                }
-              })
-            );
-          } catch (err) {
-            console.error(`Error sending push notification: ${err.message}`);
-          }
-        }
-
-        // Initialize notifications object if not exists
-        if (!doc.notifications) {
-          doc.notifications = {
-            monthBeforeSent: false,
-            lastDailySentAt: null,
-            expiredSent: false
-          };
-        }
-
-        // Update database flags
-        if (notificationType === "expired") {
-          doc.notifications.expiredSent = true;
-        } else if (notificationType === "daily") {
-          doc.notifications.lastDailySentAt = now;
-        } else if (notificationType === "monthBefore") {
-          doc.notifications.monthBeforeSent = true;
-        }
-
-        await doc.save();
-      }
-    }
-  } catch (error) {
-    console.error("Error running fullNotifyExpired:", error);
-  }
-};
-setInterval(fullNotifyExpired, intervalMs);
+startScheduler(intervalMs);
 
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err, promise) => {
@@ -0,0 +1,41 @@
+const User = require('../models/user');
+const { sendMail } = require('../notifications/channels/email');
+const { t } = require('../notifications/messages');
+const { clientUrl } = require('./push');
+
+// Emails for account flows, sent in the user's language over the email channel's
+// transport (EMAIL_TRANSPORT=stub captures them locally)
+
+exports.sendVerificationEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: t(user.locale, 'account.verify.subject'),
+    text: t(user.locale, 'account.verify.body', {
+      name: user.fullName,
+      url: clientUrl(`/verify-email/${token}`),
+      hours: User.EMAIL_VERIFICATION_TTL_MS / (60 * 60 * 1000)
+    })
+  });
+
+exports.sendPasswordResetEmail = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: t(user.locale, 'account.reset.subject'),
+    text: t(user.locale, 'account.reset.body', {
+      name: user.fullName,
+      url: clientUrl(`/reset-password/${token}`),
+      minutes: User.PASSWORD_RESET_TTL_MS / (60 * 1000)
+    })
+  });
+
+exports.sendProviderLinkEmail = (user, providerName, token) =>
+  sendMail({
+    to: user.email,
+    subject: t(user.locale, 'account.link.subject'),
+    text: t(user.locale, 'account.link.body', {
+      name: user.fullName,
+      provider: providerName,
+      url: clientUrl(`/link-account/${token}`),
+      minutes: User.PROVIDER_LINK_TTL_MS / (60 * 1000)
+    })
+  });
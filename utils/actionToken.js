@@ -0,0 +1,26 @@
+const jwt = require('jsonwebtoken');
+
+// Signed, short-lived tokens that let a notification act on one document without a session,
+// e.g. the service worker snoozing reminders from a push action button
+const AUDIENCE = 'notification-action';
+
+const secret = () => process.env.ACTION_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// The token names the user and document; it is never accepted as a login token
+exports.createActionToken = (document) =>
+  jwt.sign({ doc: String(document._id) }, secret(), {
+    subject: String(document.user),
+    audience: AUDIENCE,
+    expiresIn: process.env.ACTION_TOKEN_EXPIRE || '2d'
+  });
+
+// { userId, documentId } for a valid token, or null if it is invalid or expired
+exports.verifyActionToken = (token) => {
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(String(token), secret(), { audience: AUDIENCE });
+    return { userId: decoded.sub, documentId: decoded.doc };
+  } catch (_) {
+    return null;
+  }
+};
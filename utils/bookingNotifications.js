@@ -0,0 +1,40 @@
+const { clientUrl } = require('./push');
+const { notifyUser, failures } = require('../notifications');
+const { t, formatDate } = require('../notifications/messages');
+
+const formatLesson = (booking, locale) =>
+  t(locale, 'lesson.summary', {
+    lessonType: booking.lessonType,
+    day: formatDate(booking.date, locale, { weekday: 'long', month: 'long', day: 'numeric' }),
+    time: booking.startTime
+  });
+
+// Booking events the learner is told about when someone else makes the change
+const CHANGE_EVENTS = ['confirm', 'decline', 'reschedule', 'cancel'];
+
+// Tell the learner about a change made by their instructor or an admin. Never throws.
+exports.notifyBookingChange = async (booking, event, actor) => {
+  if (actor === 'learner' || !CHANGE_EVENTS.includes(event)) return;
+
+  try {
+    await notifyUser(booking.user, 'bookingUpdate', (user) => ({
+      title: t(user.locale, `booking.${event}.title`),
+      body: t(user.locale, `booking.${event}.body`, { lesson: formatLesson(booking, user.locale) }),
+      tag: `booking-${booking._id}`,
+      url: clientUrl('/bookings')
+    }));
+  } catch (err) {
+    console.error(`Error sending booking notification: ${err.message}`);
+  }
+};
+
+// Remind the learner of an upcoming confirmed lesson. Resolves to { errors }.
+exports.sendLessonReminder = async (booking, type) => {
+  const results = await notifyUser(booking.user, 'lessonReminder', (user) => ({
+    title: t(user.locale, type === 'hourBefore' ? 'lesson.reminder.hourBefore.title' : 'lesson.reminder.dayBefore.title'),
+    body: t(user.locale, 'lesson.reminder.body', { lesson: formatLesson(booking, user.locale) }),
+    tag: `booking-reminder-${booking._id}`,
+    url: clientUrl('/bookings')
+  }));
+  return { errors: failures(results) };
+};
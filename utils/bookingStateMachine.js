@@ -0,0 +1,68 @@
+const Booking = require('../models/Booking');
+
+// Every booking status change goes through this table.
+//   from:   statuses the event can be applied to
+//   to:     resulting status (reschedule sends the booking back for confirmation)
+//   actors: who may trigger it - the learner, the booking's instructor, an admin, or the system itself
+const TRANSITIONS = {
+  confirm: { from: ['pending'], to: 'confirmed', actors: ['instructor', 'admin'] },
+  decline: { from: ['pending'], to: 'declined', actors: ['instructor', 'admin'] },
+  reschedule: { from: ['pending', 'confirmed'], to: 'pending', actors: ['learner', 'instructor', 'admin'] },
+  cancel: { from: ['pending', 'confirmed'], to: 'cancelled', actors: ['learner', 'instructor', 'admin'] },
+  complete: { from: ['confirmed'], to: 'completed', actors: ['instructor', 'admin', 'system'] },
+  noShow: { from: ['confirmed'], to: 'no_show', actors: ['instructor', 'admin'] }
+};
+
+// Transitions that give the instructor's time back
+const RELEASES_SLOT = ['decline', 'cancel'];
+
+// Work out how a user relates to a booking. `instructor` is the booking's populated Instructor, if any.
+const getActor = (booking, user, instructor) => {
+  if (user.role === 'admin') return 'admin';
+  if (instructor && String(instructor.user) === String(user._id)) return 'instructor';
+  if (String(booking.user) === String(user._id)) return 'learner';
+  return null;
+};
+
+// Returns an error message if the event is not allowed, otherwise null
+const checkTransition = (booking, event, actor) => {
+  const transition = TRANSITIONS[event];
+  if (!transition) return `Unknown booking event: ${event}`;
+  if (!actor || !transition.actors.includes(actor)) return 'Not authorized to change this booking';
+  if (!transition.from.includes(booking.status)) {
+    return `Cannot ${event === 'noShow' ? 'mark as no-show' : event} a booking that is ${booking.status}`;
+  }
+  return null;
+};
+
+// Atomically apply the event (plus any extra field updates) if the booking is still in an allowed status.
+// Resolves to the updated booking, or null if it changed underneath us.
+const applyTransition = (booking, event, actor, byUserId, updates = {}) => {
+  const transition = TRANSITIONS[event];
+
+  return Booking.findOneAndUpdate(
+    { _id: booking._id, status: { $in: transition.from } },
+    {
+      $set: { ...updates, status: transition.to },
+      $push: {
+        statusHistory: {
+          from: booking.status,
+          to: transition.to,
+          event,
+          actor,
+          by: byUserId,
+          at: new Date()
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+module.exports = {
+  TRANSITIONS,
+  RELEASES_SLOT,
+  getActor,
+  checkTransition,
+  applyTransition
+};
@@ -0,0 +1,76 @@
+const User = require('../models/user');
+const Booking = require('../models/Booking');
+const CreditTransaction = require('../models/CreditTransaction');
+
+// Balances live on User.lessonCredits, keyed by lesson type
+const balancePath = (lessonType) => `lessonCredits.${lessonType}`;
+
+const record = (userId, lessonType, amount, balanceAfter, reason, refs) =>
+  CreditTransaction.create({
+    user: userId,
+    lessonType,
+    amount,
+    reason,
+    balanceAfter,
+    payment: refs.payment,
+    booking: refs.booking
+  });
+
+// Add (or with a negative amount, remove) credits and write the ledger entry
+exports.adjustCredits = async (userId, lessonType, amount, reason, refs = {}) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { [balancePath(lessonType)]: amount } },
+    { new: true }
+  );
+  if (!user) return null;
+
+  const balance = user.lessonCredits.get(lessonType) || 0;
+  await record(user._id, lessonType, amount, balance, reason, refs);
+  return balance;
+};
+
+// Take back up to `amount` credits without going below zero, e.g. when a package is refunded
+// after some of it was used. Resolves to { removed, balance }.
+exports.removeCredits = async (userId, lessonType, amount, reason, refs = {}) => {
+  const path = balancePath(lessonType);
+
+  // One pipeline update, so the balance read and the removal can't interleave with a booking
+  const before = await User.findOneAndUpdate(
+    { _id: userId },
+    [{ $set: { [path]: { $max: [0, { $subtract: [{ $ifNull: [`$${path}`, 0] }, amount] }] } } }]
+  );
+  if (!before) return { removed: 0, balance: null };
+
+  const previous = before.lessonCredits.get(lessonType) || 0;
+  const removed = Math.min(previous, amount);
+  if (removed > 0) await record(userId, lessonType, -removed, previous - removed, reason, refs);
+
+  return { removed, balance: previous - removed };
+};
+
+// Atomically take one credit for a booking. Resolves false when the balance is empty.
+exports.consumeCredit = async (userId, lessonType, bookingId) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, [balancePath(lessonType)]: { $gte: 1 } },
+    { $inc: { [balancePath(lessonType)]: -1 } },
+    { new: true }
+  );
+  if (!user) return false;
+
+  await record(user._id, lessonType, -1, user.lessonCredits.get(lessonType) || 0, 'booking', { booking: bookingId });
+  return true;
+};
+
+// Give back the credit a booking used, at most once
+exports.refundBookingCredit = async (booking) => {
+  const claimed = await Booking.findOneAndUpdate(
+    { _id: booking._id, creditUsed: true, creditRefunded: { $ne: true } },
+    { creditRefunded: true },
+    { new: true }
+  );
+  if (!claimed) return booking;
+
+  await exports.adjustCredits(claimed.user, claimed.lessonType, 1, 'cancellation_refund', { booking: claimed._id });
+  return claimed;
+};
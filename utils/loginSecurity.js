@@ -0,0 +1,134 @@
+const User = require('../models/user');
+const LoginEvent = require('../models/LoginEvent');
+const { describeDevice } = require('./sessions');
+const { clientUrl } = require('./push');
+const { notifyUser } = require('../notifications');
+const { t } = require('../notifications/messages');
+
+// Failed sign-ins allowed before the account is locked
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+
+// The first lockout lasts 15 minutes and each further one twice as long, up to a day
+const LOCKOUT_BASE_MS = 15 * 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
+// Failures that count towards a lockout; the others say nothing about the password
+const COUNTED_FAILURES = ['invalid_password', 'invalid_two_factor'];
+
+const lockoutDuration = (lockouts) => Math.min(LOCKOUT_BASE_MS * 2 ** lockouts, LOCKOUT_MAX_MS);
+
+// When the user's lockout ends, or null if they aren't locked out
+const lockedUntil = (user) => {
+  const until = user.loginSecurity && user.loginSecurity.lockedUntil;
+  return until && until > new Date() ? until : null;
+};
+
+// Count a failed attempt, locking the account once the limit is reached. Counted
+// atomically so parallel guesses can't slip under the limit. Lockouts are only
+// logged here; callers answer as for any failed attempt.
+const registerFailure = async (userId) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { 'loginSecurity.failedAttempts': 1 } },
+    { new: true, projection: 'loginSecurity' }
+  );
+  if (!user || user.loginSecurity.failedAttempts < MAX_FAILED_ATTEMPTS) return;
+
+  // Only the attempt that saw this count starts the lockout
+  const until = new Date(Date.now() + lockoutDuration(user.loginSecurity.lockouts || 0));
+  const result = await User.updateOne(
+    { _id: userId, 'loginSecurity.failedAttempts': user.loginSecurity.failedAttempts },
+    {
+      $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockedUntil': until },
+      $inc: { 'loginSecurity.lockouts': 1 }
+    }
+  );
+  if (result.modifiedCount === 1) {
+    console.warn(`Locked account ${userId} after ${MAX_FAILED_ATTEMPTS} failed sign-ins until ${until.toISOString()}`);
+  }
+};
+
+const clearFailures = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    { $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockouts': 0 }, $unset: { 'loginSecurity.lockedUntil': 1 } }
+  );
+
+// Where an attempt came from, as stored on its login event
+const requestDetails = (req) => {
+  const userAgent = req.get('user-agent') || '';
+  return { ip: req.ip, userAgent, device: describeDevice(userAgent) };
+};
+
+// A success is unusual when the account has signed in before, but never from this device or IP
+const isUnusual = async (userId, { ip, device }) => {
+  if (!(await LoginEvent.exists({ user: userId, success: true }))) return false;
+  return !(await LoginEvent.exists({ user: userId, success: true, $or: [{ ip }, { device }] }));
+};
+
+const formatLoginTime = (date, user) =>
+  date.toLocaleString(user.locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: user.timezone });
+
+const sendLoginAlert = (event) =>
+  notifyUser(event.user, 'securityAlert', (user) => ({
+    title: t(user.locale, 'security.newLogin.title'),
+    body: t(user.locale, 'security.newLogin.body', {
+      device: event.device,
+      ip: event.ip,
+      time: formatLoginTime(event.createdAt, user)
+    }),
+    tag: `login-${event._id}`,
+    url: clientUrl('/account/security')
+  }));
+
+// Record a successful sign-in, clear the user's failures and alert them if it came from
+// somewhere new. A failure here is logged rather than thrown so it never blocks a login.
+const recordSuccess = async (req, user, method, { twoFactor = false } = {}) => {
+  try {
+    const details = requestDetails(req);
+    const unusual = method !== 'signup' && (await isUnusual(user._id, details));
+
+    await clearFailures(user._id);
+    const event = await LoginEvent.create({
+      user: user._id,
+      email: user.email,
+      method,
+      twoFactor,
+      success: true,
+      unusual,
+      ...details
+    });
+
+    if (unusual) await sendLoginAlert(event);
+  } catch (err) {
+    console.error(`Error recording login: ${err.message}`);
+  }
+};
+
+// Record a failed sign-in, counting it towards a lockout where it should.
+// Never throws, like recordSuccess.
+const recordFailure = async (req, { user, email, method, reason, twoFactor = false }) => {
+  try {
+    if (user && COUNTED_FAILURES.includes(reason)) await registerFailure(user._id);
+
+    await LoginEvent.create({
+      user: user && user._id,
+      email: user ? user.email : email,
+      method,
+      twoFactor,
+      success: false,
+      failureReason: reason,
+      ...requestDetails(req)
+    });
+  } catch (err) {
+    console.error(`Error recording failed login: ${err.message}`);
+  }
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  lockedUntil,
+  clearFailures,
+  recordSuccess,
+  recordFailure
+};
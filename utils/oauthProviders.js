@@ -0,0 +1,146 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const User = require('../models/user');
+
+// Provider endpoints, overridable so the flows can be run against local stubs
+const GOOGLE_USERINFO_URL = process.env.GOOGLE_USERINFO_URL || 'https://www.googleapis.com/oauth2/v3/userinfo';
+const GOOGLE_TOKENINFO_URL = process.env.GOOGLE_TOKENINFO_URL || 'https://oauth2.googleapis.com/tokeninfo';
+const FACEBOOK_GRAPH_URL = (process.env.FACEBOOK_GRAPH_URL || 'https://graph.facebook.com/v19.0').replace(/\/$/, '');
+
+// Provider calls that take longer than this fail, rather than holding up the login
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.OAUTH_PROVIDER_TIMEOUT_MS, 10) || 10000;
+
+const PROVIDER_NAMES = {
+  google: 'Google',
+  facebook: 'Facebook'
+};
+
+const PROVIDERS = Object.keys(PROVIDER_NAMES);
+
+// GET JSON over http or https without extra deps. Error responses from the providers
+// are JSON too, so the body is parsed whatever the status.
+const getJson = (url) =>
+  new Promise((resolve, reject) => {
+    const client = url.startsWith('http:') ? http : https;
+    const req = client
+      .get(url, { timeout: PROVIDER_TIMEOUT_MS }, (resp) => {
+        let data = '';
+        resp.on('data', (chunk) => (data += chunk));
+        resp.on('end', () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch (e) {
+            reject(e);
+          }
+        });
+      })
+      .on('error', (err) => reject(err));
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${new URL(url).host} timed out`)));
+  });
+
+// Whether the server has what it needs to check that the provider's tokens were issued to us
+const isConfigured = (provider) =>
+  provider === 'facebook'
+    ? Boolean(process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET)
+    : provider === 'google' && Boolean(process.env.GOOGLE_CLIENT_ID);
+
+const fetchGoogleProfile = async (accessToken) => {
+  const token = encodeURIComponent(accessToken);
+
+  // Without this a token issued to any other app would be accepted too
+  const tokenInfo = await getJson(`${GOOGLE_TOKENINFO_URL}?access_token=${token}`);
+  if (tokenInfo.error || tokenInfo.aud !== process.env.GOOGLE_CLIENT_ID) {
+    return { error: tokenInfo.error_description || 'Token was not issued to this app' };
+  }
+
+  const info = await getJson(`${GOOGLE_USERINFO_URL}?access_token=${token}`);
+  if (info.error || !info.sub) {
+    return { error: info.error_description || 'No profile returned from Google' };
+  }
+
+  return {
+    profile: {
+      provider: 'google',
+      providerId: String(info.sub),
+      email: info.email && info.email.toLowerCase(),
+      emailVerified: info.email_verified === true,
+      name: info.name || info.given_name
+    }
+  };
+};
+
+const fetchFacebookProfile = async (accessToken) => {
+  const appId = process.env.FACEBOOK_APP_ID;
+  const appSecret = process.env.FACEBOOK_APP_SECRET;
+  const token = encodeURIComponent(accessToken);
+
+  // The token must be valid and issued to our app
+  const debug = await getJson(
+    `${FACEBOOK_GRAPH_URL}/debug_token?input_token=${token}&access_token=${encodeURIComponent(`${appId}|${appSecret}`)}`
+  );
+  const data = debug.data || {};
+  if (!data.is_valid || String(data.app_id) !== String(appId) || !data.user_id) {
+    return { error: (data.error && data.error.message) || 'Token was not issued to this app' };
+  }
+
+  const proof = crypto.createHmac('sha256', appSecret).update(accessToken).digest('hex');
+  const me = await getJson(`${FACEBOOK_GRAPH_URL}/me?fields=id,name,email&access_token=${token}&appsecret_proof=${proof}`);
+  if (me.error || String(me.id) !== String(data.user_id)) {
+    return { error: (me.error && me.error.message) || 'No profile returned from Facebook' };
+  }
+
+  return {
+    profile: {
+      provider: 'facebook',
+      providerId: String(me.id),
+      email: me.email && me.email.toLowerCase(),
+      emailVerified: false, // Facebook doesn't say, so the address is confirmed by email as for signups
+      name: me.name
+    }
+  };
+};
+
+// Check an access token with its provider. Resolves to { profile } with
+// { provider, providerId, email, emailVerified, name }, or { error }.
+const fetchProfile = (provider, accessToken) =>
+  provider === 'facebook' ? fetchFacebookProfile(accessToken) : fetchGoogleProfile(accessToken);
+
+// The account a provider identity is linked to, if any
+const findByIdentity = (provider, providerId) =>
+  User.findOne({ providers: { $elemMatch: { provider, providerId } } });
+
+// Link a provider identity to an account. Resolves to null, or an error message if the
+// identity belongs to another account or the account has a different one from the provider.
+const linkIdentity = async (userId, { provider, providerId, email }) => {
+  const owner = await findByIdentity(provider, providerId).select('_id');
+  if (owner) {
+    return owner._id.equals(userId) ? null : `This ${PROVIDER_NAMES[provider]} account is linked to another user`;
+  }
+
+  let result;
+  try {
+    result = await User.updateOne(
+      { _id: userId, 'providers.provider': { $ne: provider } },
+      { $push: { providers: { provider, providerId, email, linkedAt: new Date() } } }
+    );
+  } catch (err) {
+    // Another account linked the identity after the check above
+    if (err.code === 11000) return `This ${PROVIDER_NAMES[provider]} account is linked to another user`;
+    throw err;
+  }
+
+  return result.modifiedCount === 1
+    ? null
+    : `Another ${PROVIDER_NAMES[provider]} account is already linked. Unlink it first.`;
+};
+
+module.exports = {
+  PROVIDERS,
+  PROVIDER_NAMES,
+  isConfigured,
+  fetchProfile,
+  findByIdentity,
+  linkIdentity
+};
@@ -0,0 +1,105 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Base URL is configurable so the whole flow can run against a local stub server
+const getBaseUrl = () => (process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3').replace(/\/$/, '');
+
+const getSecretKey = () => {
+  const secretKey = process.env.FLUTTERWAVE_SECRET_KEY;
+  if (!secretKey) {
+    console.error('[Payment] Missing FLUTTERWAVE_SECRET_KEY');
+    throw new Error('Flutterwave secret key not configured');
+  }
+  return secretKey;
+};
+
+const client = () =>
+  axios.create({
+    baseURL: getBaseUrl(),
+    headers: {
+      Authorization: `Bearer ${getSecretKey()}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+// Flutterwave works in major units; we store amounts in the subunit
+const toMajor = (amount) => amount / 100;
+const toMinor = (amount) => Math.round(Number(amount) * 100);
+
+const normalizeTransaction = (data) => ({
+  status: data.status === 'successful' ? 'success' : data.status === 'failed' ? 'failed' : 'pending',
+  reference: data.tx_ref,
+  amount: toMinor(data.amount),
+  currency: String(data.currency || '').toUpperCase(),
+  transactionId: data.id != null ? String(data.id) : undefined,
+  paidAt: data.created_at ? new Date(data.created_at) : undefined,
+  message: data.processor_response
+});
+
+exports.name = 'flutterwave';
+
+exports.isConfigured = () => Boolean(process.env.FLUTTERWAVE_SECRET_KEY);
+
+// Create a hosted payment link
+exports.initialize = async ({ email, amount, currency, reference, callbackUrl, metadata }) => {
+  const res = await client().post('/payments', {
+    tx_ref: reference,
+    amount: toMajor(amount),
+    currency,
+    redirect_url: callbackUrl,
+    customer: { email },
+    meta: metadata
+  });
+  return { checkoutUrl: res.data.data.link };
+};
+
+// Look up the final state of a transaction by our reference (tx_ref)
+exports.verify = async (reference) => {
+  const res = await client().get('/transactions/verify_by_reference', {
+    params: { tx_ref: reference }
+  });
+  return normalizeTransaction(res.data.data);
+};
+
+// Flutterwave sends the secret hash configured on the dashboard in the verif-hash header.
+// Returns null for requests that fail the check.
+exports.parseWebhook = (req) => {
+  const expected = process.env.FLUTTERWAVE_WEBHOOK_HASH;
+  const signature = req.headers['verif-hash'];
+  if (!expected || !signature) return null;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+  const { event, data = {} } = req.body;
+
+  if (event === 'charge.completed') {
+    const transaction = normalizeTransaction(data);
+    if (transaction.status === 'pending') return { type: event };
+    return {
+      type: transaction.status === 'success' ? 'charge.success' : 'charge.failed',
+      reference: data.tx_ref,
+      transaction
+    };
+  }
+  if (event === 'refund.completed') {
+    return {
+      type: 'refund.processed',
+      reference: data.tx_ref,
+      refund: {
+        refundId: data.id != null ? String(data.id) : undefined,
+        amount: data.amount_refunded != null ? toMinor(data.amount_refunded) : undefined
+      }
+    };
+  }
+  return { type: event };
+};
+
+// Refund a transaction by its Flutterwave id (optionally partially)
+exports.refund = async ({ transactionId, amount }) => {
+  const res = await client().post(`/transactions/${encodeURIComponent(transactionId)}/refund`, {
+    amount: amount ? toMajor(amount) : undefined
+  });
+  return { processed: res.data.data.status === 'completed' };
+};
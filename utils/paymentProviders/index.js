@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const paystack = require('./paystack');
+const flutterwave = require('./flutterwave');
+
+// Every provider implements the same interface:
+//   initialize({ email, amount, currency, reference, callbackUrl, metadata }) -> { checkoutUrl }
+//   verify(reference) -> { status, reference, amount, currency, transactionId, paidAt, message }
+//   parseWebhook(req) -> null if the signature is invalid, else { type, reference, transaction, refund }
+//     where type is normalized to 'charge.success', 'charge.failed' or 'refund.processed',
+//     and refund is { refundId, amount } for refunds
+//   refund({ reference, transactionId, amount }) -> { processed }
+// Amounts are always in the currency's subunit (kobo, cents).
+const providers = {
+  [paystack.name]: paystack,
+  [flutterwave.name]: flutterwave
+};
+
+exports.PROVIDERS = Object.keys(providers);
+
+exports.DEFAULT_PROVIDER = process.env.PAYMENT_PROVIDER || paystack.name;
+
+// Returns the provider module, or null if it is unknown
+exports.getProvider = (name) => providers[name] || null;
+
+exports.generateReference = () => `DD-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
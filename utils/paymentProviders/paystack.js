@@ -0,0 +1,99 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Base URL is configurable so the whole flow can run against a local stub server
+const getBaseUrl = () => (process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co').replace(/\/$/, '');
+
+const getSecretKey = () => {
+  const secretKey = process.env.PAYSTACK_SECRET_KEY;
+  if (!secretKey) {
+    console.error('[Payment] Missing PAYSTACK_SECRET_KEY');
+    throw new Error('Paystack secret key not configured');
+  }
+  return secretKey;
+};
+
+const client = () =>
+  axios.create({
+    baseURL: getBaseUrl(),
+    headers: {
+      Authorization: `Bearer ${getSecretKey()}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+// Paystack reports amounts in the currency's subunit, like we store them
+const normalizeTransaction = (data) => ({
+  status: data.status === 'success' ? 'success' : data.status === 'failed' ? 'failed' : 'pending',
+  reference: data.reference,
+  amount: Number(data.amount),
+  currency: String(data.currency || '').toUpperCase(),
+  transactionId: data.id != null ? String(data.id) : undefined,
+  paidAt: data.paid_at ? new Date(data.paid_at) : undefined,
+  message: data.gateway_response
+});
+
+exports.name = 'paystack';
+
+exports.isConfigured = () => Boolean(process.env.PAYSTACK_SECRET_KEY);
+
+// Start a transaction and get the hosted checkout URL
+exports.initialize = async ({ email, amount, currency, reference, callbackUrl, metadata }) => {
+  const res = await client().post('/transaction/initialize', {
+    email,
+    amount,
+    currency,
+    reference,
+    callback_url: callbackUrl,
+    metadata
+  });
+  return {
+    checkoutUrl: res.data.data.authorization_url,
+    accessCode: res.data.data.access_code
+  };
+};
+
+// Look up the final state of a transaction by reference
+exports.verify = async (reference) => {
+  const res = await client().get(`/transaction/verify/${encodeURIComponent(reference)}`);
+  return normalizeTransaction(res.data.data);
+};
+
+// Check the x-paystack-signature header (HMAC SHA512 of the raw body) and map the event.
+// Returns null for requests that fail the signature check.
+exports.parseWebhook = (req) => {
+  const signature = req.headers['x-paystack-signature'];
+  if (!req.rawBody || !signature) return null;
+
+  const expected = crypto
+    .createHmac('sha512', getSecretKey())
+    .update(req.rawBody)
+    .digest('hex');
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+  const { event, data = {} } = req.body;
+
+  if (event === 'charge.success' || event === 'charge.failed') {
+    return { type: event, reference: data.reference, transaction: normalizeTransaction(data) };
+  }
+  if (event === 'refund.processed') {
+    return {
+      type: 'refund.processed',
+      reference: data.transaction_reference || (data.transaction && data.transaction.reference),
+      refund: {
+        refundId: data.id != null ? String(data.id) : data.refund_reference,
+        amount: data.amount != null ? Number(data.amount) : undefined
+      }
+    };
+  }
+  return { type: event };
+};
+
+// Refund a transaction (optionally partially). Resolves to { processed } once Paystack accepts it.
+exports.refund = async ({ reference, amount }) => {
+  const res = await client().post('/refund', { transaction: reference, amount });
+  return { processed: res.data.data.status === 'processed' };
+};
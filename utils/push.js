@@ -0,0 +1,66 @@
+const webpush = require('web-push');
+const withRetry = require('./retry');
+
+const clientUrl = (path) => `${(process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '')}${path}`;
+
+// The API's own address, for links the service worker fetches from the client origin
+const serverUrl = (path) =>
+  `${(process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '')}${path}`;
+
+// Build the payload the service worker expects. Optional `actions` become notification
+// buttons ({ action, title }); data.actions tells the worker what each one does:
+// { url, method } is fetched in the background, { url } alone is opened in a window.
+const buildPayload = ({ title, body, tag, url, actions = [] }) =>
+  JSON.stringify({
+    title,
+    options: {
+      body,
+      tag,
+      icon: '/icons/icon-192x192.png',
+      badge: '/icons/badge-72x72.png',
+      vibrate: [200, 100, 200],
+      renotify: true,
+      requireInteraction: true,
+      actions: actions.map((a) => ({ action: a.action, title: a.title })),
+      data: {
+        url,
+        actions: Object.fromEntries(actions.map((a) => [a.action, { url: a.url, method: a.method }]))
+      }
+    }
+  });
+
+// Rate limits and server errors are worth retrying; other 4xx (e.g. 410 Gone) will never succeed
+const isTransient = (err) => !err.statusCode || err.statusCode === 429 || err.statusCode >= 500;
+
+// The push service no longer knows the subscription (unsubscribed or expired)
+const isGone = (err) => err.statusCode === 404 || err.statusCode === 410;
+
+// Send one notification to each subscription, retrying transient failures.
+// Resolves to { sent, errors, gone } so callers can record what failed and
+// disable the endpoints in `gone`.
+const sendToSubscriptions = async (subscriptions, notification) => {
+  const payload = buildPayload(notification);
+  const result = { sent: 0, errors: [], gone: [] };
+
+  for (const sub of subscriptions) {
+    try {
+      await withRetry(
+        () => webpush.sendNotification({ endpoint: sub.endpoint, keys: sub.keys }, payload),
+        { retries: 2, shouldRetry: isTransient }
+      );
+      result.sent++;
+    } catch (err) {
+      console.error(`Error sending push notification: ${err.message}`);
+      result.errors.push(err.message);
+      if (isGone(err)) result.gone.push(sub.endpoint);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  clientUrl,
+  serverUrl,
+  sendToSubscriptions
+};
@@ -0,0 +1,39 @@
+// Helpers for turning whitelisted list query parameters into Mongo filters
+
+// Escape user input before using it in a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive "contains" match for a search box
+const containsPattern = (text) => new RegExp(escapeRegex(String(text).trim()), 'i');
+
+// ?status=expiring,expired -> { $in: [...] }; null if any value is not allowed
+const parseList = (value, allowed) => {
+  const values = String(value).split(',').map((v) => v.trim()).filter(Boolean);
+  if (!values.length || values.some((v) => !allowed.includes(v))) return null;
+  return { $in: values };
+};
+
+// Inclusive date range from two query values; undefined if neither is given, null if either is invalid
+const parseDateRange = (from, to) => {
+  if (from === undefined && to === undefined) return undefined;
+
+  const range = {};
+  if (from !== undefined) range.$gte = new Date(from);
+  if (to !== undefined) range.$lte = new Date(to);
+  if (Object.values(range).some((d) => isNaN(d))) return null;
+  return range;
+};
+
+// ?sort=expiryDate or ?sort=-expiryDate -> Mongoose sort string; null if the field is not allowed
+const parseSort = (value, allowed) => {
+  const field = String(value).replace(/^-/, '');
+  return allowed.includes(field) ? String(value) : null;
+};
+
+module.exports = {
+  escapeRegex,
+  containsPattern,
+  parseList,
+  parseDateRange,
+  parseSort
+};
@@ -0,0 +1,67 @@
+const PDFDocument = require('pdfkit');
+
+const formatAmount = (amount, currency) => `${currency} ${(amount / 100).toFixed(2)}`;
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('en-GB', { year: 'numeric', month: 'long', day: 'numeric' })
+    : '-';
+
+// Write a PDF receipt for a settled payment to the given writable stream.
+// The payment must have `document`, `product` and `lessonPackage` populated.
+module.exports = (payment, user, stream) => {
+  const pdf = new PDFDocument({ size: 'A4', margin: 50 });
+  pdf.pipe(stream);
+
+  pdf.fontSize(22).text('DriveDoc', { align: 'left' });
+  pdf.fontSize(12).fillColor('#555').text('Payment Receipt');
+  pdf.moveDown(2);
+
+  const rows = [
+    ['Receipt No.', payment.providerReference],
+    ['Date Paid', formatDate(payment.paidAt || payment.date)],
+    ['Billed To', `${user.fullName} (${user.email})`]
+  ];
+
+  if (payment.type === 'lesson_package') {
+    rows.push(
+      ['Description', payment.lessonPackage && payment.lessonPackage.name
+        ? payment.lessonPackage.name
+        : `${payment.credits} x ${payment.lessonType}`],
+      ['Lessons', `${payment.credits} x ${payment.lessonType}`]
+    );
+  } else {
+    rows.push(
+      ['Description', payment.product && payment.product.name
+        ? payment.product.name
+        : `${payment.validityYears}-year renewal`],
+      ['Document', payment.document
+        ? `${payment.document.type} No. ${payment.document.number} (${payment.document.country})`
+        : '-'],
+      ['Validity Period', `${payment.validityYears} year${payment.validityYears !== 1 ? 's' : ''}`],
+      ['New Expiry Date', formatDate(payment.newExpiryDate)]
+    );
+  }
+
+  rows.push(
+    ['Amount', formatAmount(payment.amount, payment.currency)],
+    ['Status', payment.status.toUpperCase()]
+  );
+
+  if (payment.status === 'refunded') {
+    rows.push(['Refunded On', formatDate(payment.refundedAt)]);
+  }
+
+  pdf.fillColor('#000');
+  rows.forEach(([label, value]) => {
+    const y = pdf.y;
+    pdf.fontSize(11).font('Helvetica-Bold').text(label, 50, y, { width: 150 });
+    pdf.font('Helvetica').text(String(value), 200, y, { width: 345 });
+    pdf.moveDown(0.6);
+  });
+
+  pdf.moveDown(2);
+  pdf.fontSize(9).fillColor('#777').text('Thank you for using DriveDoc.', 50, pdf.y, { align: 'center' });
+
+  pdf.end();
+};
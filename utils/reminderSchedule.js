@@ -0,0 +1,116 @@
+// Reminder schedules are lists of "days before expiry", e.g. [90, 60, 30, 14, 7, 1].
+// Each offset is sent once; an expired notice always follows at the expiry date.
+// Expiry dates are calendar dates (stored as midnight UTC) and days are counted from the
+// user's local date, so a reminder falls due at local midnight in the user's timezone.
+const { DEFAULT_TIMEZONE, localParts, zonedTime } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The previous fixed behaviour: a month ahead, then a daily countdown from day 7
+const DEFAULT_SCHEDULE = [30, 7, 6, 5, 4, 3, 2, 1];
+
+// How long the "Snooze" notification action pauses a document's reminders
+const SNOOZE_DAYS = 3;
+
+const MAX_OFFSET_DAYS = 730;
+const MAX_REMINDERS = 20;
+
+// Sorted (furthest first), de-duplicated copy of a schedule, or null if it is invalid
+const normalizeSchedule = (schedule) => {
+  if (!Array.isArray(schedule) || schedule.length > MAX_REMINDERS) return null;
+  const days = schedule.map(Number);
+  if (days.some((d) => !Number.isInteger(d) || d < 1 || d > MAX_OFFSET_DAYS)) return null;
+  return [...new Set(days)].sort((a, b) => b - a);
+};
+
+// The document's own schedule if it has one, else the user's default, else the app default
+const effectiveSchedule = (document, user) => {
+  if (document.reminderSchedule && document.reminderSchedule.length) return document.reminderSchedule;
+  if (user && user.reminderSchedule && user.reminderSchedule.length) return user.reminderSchedule;
+  return DEFAULT_SCHEDULE;
+};
+
+// Whole days from the user's local today until the expiry date; 0 on the day itself
+const daysUntil = (expiryDate, now = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const today = localParts(now, timezone);
+  const expiry = new Date(expiryDate);
+  const expiryDay = Date.UTC(expiry.getUTCFullYear(), expiry.getUTCMonth(), expiry.getUTCDate());
+  return Math.round((expiryDay - Date.UTC(today.year, today.month - 1, today.day)) / DAY_MS);
+};
+
+// Documents this close to their expiry date count as expiring
+const EXPIRING_WITHIN_DAYS = 30;
+
+// Document status as of `now`: expired after the expiry date, expiring within 30 days
+const documentStatus = (expiryDate, now = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const days = daysUntil(expiryDate, now, timezone);
+  if (days < 0) return 'expired';
+  if (days <= EXPIRING_WITHIN_DAYS) return 'expiring';
+  return 'valid';
+};
+
+// Expiry date condition matching the documents documentStatus gives `status` as of `now`
+const statusExpiryRange = (status, now = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const today = localParts(now, timezone);
+  const todayStart = new Date(Date.UTC(today.year, today.month - 1, today.day));
+  const expiringEnd = new Date(todayStart.getTime() + (EXPIRING_WITHIN_DAYS + 1) * DAY_MS);
+
+  if (status === 'expired') return { $lt: todayStart };
+  if (status === 'expiring') return { $gte: todayStart, $lt: expiringEnd };
+  return { $gte: expiringEnd };
+};
+
+// Local midnight, in the timezone, of the day `offset` days from the expiry date
+const expiryDayStart = (expiryDate, offset, timezone) => {
+  const expiry = new Date(expiryDate);
+  return zonedTime(timezone, expiry.getUTCFullYear(), expiry.getUTCMonth() + 1, expiry.getUTCDate() + offset);
+};
+
+// When the next reminder (or expired notice) becomes due, or null if nothing is left to send
+const nextReminderAt = (expiryDate, schedule, notifications = {}, timezone = DEFAULT_TIMEZONE) => {
+  const sent = notifications.sentReminders || [];
+
+  const times = schedule.filter((d) => !sent.includes(d)).map((d) => expiryDayStart(expiryDate, -d, timezone));
+  if (!notifications.expiredSent) times.push(expiryDayStart(expiryDate, 0, timezone));
+
+  if (!times.length) return null;
+
+  // A snoozed document sends nothing until the snooze ends
+  const next = Math.min(...times);
+  const snoozedUntil = notifications.snoozedUntil ? new Date(notifications.snoozedUntil).getTime() : 0;
+  return new Date(Math.max(next, snoozedUntil));
+};
+
+// What to send now, if anything:
+//   { type: 'expired' } or { type: 'before', days } plus `markSent`, the offsets to record as done.
+// Offsets already passed are marked together so a late run sends one reminder, not a burst.
+const dueReminder = (expiryDate, schedule, notifications = {}, now = new Date(), timezone = DEFAULT_TIMEZONE) => {
+  const daysLeft = daysUntil(expiryDate, now, timezone);
+  const sent = notifications.sentReminders || [];
+  const passed = schedule.filter((d) => daysLeft <= d);
+
+  if (daysLeft <= 0) {
+    return notifications.expiredSent ? null : { type: 'expired', markSent: passed };
+  }
+
+  if (!passed.length) return null;
+
+  const latest = Math.min(...passed);
+  if (sent.includes(latest)) {
+    return { type: null, markSent: passed };
+  }
+  return { type: 'before', days: daysLeft, markSent: passed };
+};
+
+module.exports = {
+  DAY_MS,
+  DEFAULT_SCHEDULE,
+  SNOOZE_DAYS,
+  normalizeSchedule,
+  effectiveSchedule,
+  daysUntil,
+  documentStatus,
+  statusExpiryRange,
+  nextReminderAt,
+  dueReminder
+};
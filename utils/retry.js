@@ -0,0 +1,14 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Call fn until it succeeds, waiting baseMs, 2*baseMs, 4*baseMs... between attempts.
+// Errors for which shouldRetry returns false are thrown straight away.
+module.exports = async (fn, { retries = 2, baseMs = 500, shouldRetry = () => true } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+      await sleep(baseMs * 2 ** attempt);
+    }
+  }
+};
@@ -0,0 +1,116 @@
+const InstructorCalendar = require('../models/InstructorCalendar');
+
+// Spacing between bookable start times, in minutes
+const SLOT_STEP = parseInt(process.env.BOOKING_SLOT_STEP_MINUTES, 10) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "HH:mm" -> minutes since midnight
+const toMinutes = (time) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(time));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// minutes since midnight -> "HH:mm"
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Lesson days are calendar days, stored as UTC midnight. Returns null for invalid input.
+const toDay = (value) => {
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const isBlackout = (instructor, day) =>
+  instructor.blackoutDates.some((b) => toDay(b.date).getTime() === day.getTime());
+
+// Whether [start, end) on the given day falls inside the instructor's working hours
+const isWithinAvailability = (instructor, day, start, end) => {
+  if (isBlackout(instructor, day)) return false;
+
+  return instructor.weeklyAvailability.some(
+    (w) => w.dayOfWeek === day.getUTCDay() && toMinutes(w.startTime) <= start && end <= toMinutes(w.endTime)
+  );
+};
+
+// Atomically claim [start, end) on the instructor's day. Resolves false if it overlaps another booking.
+// The booking's own reservations are ignored so a lesson can be moved to an overlapping time.
+const reserveSlot = async (instructorId, day, start, end, bookingId) => {
+  try {
+    await InstructorCalendar.updateOne(
+      {
+        instructor: instructorId,
+        date: day,
+        reservations: {
+          $not: { $elemMatch: { booking: { $ne: bookingId }, start: { $lt: end }, end: { $gt: start } } }
+        }
+      },
+      { $push: { reservations: { booking: bookingId, start, end } } },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    // The day exists but the filter rejected it, so the upsert collided with it
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+// Free the booking's reservation on that day (only the one starting at `start`, if given)
+const releaseSlot = (instructorId, day, bookingId, start) =>
+  InstructorCalendar.updateOne(
+    { instructor: instructorId, date: day },
+    { $pull: { reservations: start == null ? { booking: bookingId } : { booking: bookingId, start } } }
+  );
+
+// Open start times per day for one instructor and lesson length, between two days inclusive
+const getOpenSlots = async (instructor, from, to, duration, now = new Date()) => {
+  const calendars = await InstructorCalendar.find({
+    instructor: instructor._id,
+    date: { $gte: from, $lte: to }
+  });
+  const booked = {};
+  calendars.forEach((c) => {
+    booked[c.date.getTime()] = c.reservations;
+  });
+
+  const days = [];
+  for (let day = new Date(from); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    if (isBlackout(instructor, day)) continue;
+
+    const taken = booked[day.getTime()] || [];
+    const slots = [];
+
+    instructor.weeklyAvailability
+      .filter((w) => w.dayOfWeek === day.getUTCDay())
+      .forEach((w) => {
+        for (let start = toMinutes(w.startTime); start + duration <= toMinutes(w.endTime); start += SLOT_STEP) {
+          const slot = { start, end: start + duration };
+          const startsAt = new Date(day.getTime() + start * 60 * 1000);
+          if (startsAt > now && !taken.some((r) => overlaps(r, slot))) {
+            slots.push(toTime(start));
+          }
+        }
+      });
+
+    if (slots.length) {
+      days.push({ date: day, slots: [...new Set(slots)].sort() });
+    }
+  }
+
+  return days;
+};
+
+module.exports = {
+  DAY_MS,
+  toMinutes,
+  toTime,
+  toDay,
+  isWithinAvailability,
+  reserveSlot,
+  releaseSlot,
+  getOpenSlots
+};
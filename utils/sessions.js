@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+// Refresh tokens last this long after their last use
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000;
+
+// Earlier refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+// A token rotated this recently may still be in flight from parallel requests the same
+// client sent as its access token expired; those are refused without revoking anything
+const ROTATION_GRACE_MS = 10 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<session id>.<random secret>"
+const buildToken = (session, secret) => `${session._id}.${secret}`;
+
+const parseToken = (token) => {
+  const [sessionId, secret] = String(token || '').split('.');
+  return /^[a-f\d]{24}$/i.test(sessionId) && secret ? { sessionId, secret } : null;
+};
+
+// A short, readable label for the sessions list and login history
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser && browser[0], os && os[0]].filter(Boolean).join(' on ');
+};
+
+// Start a session for a sign-in. Resolves to { session, refreshToken }.
+exports.createSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const userAgent = req.get('user-agent') || '';
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { session, refreshToken: buildToken(session, secret) };
+};
+
+// Exchange a refresh token for a new one. Resolves to { session, refreshToken }, or
+// { error, retry? } if the token is unknown, expired or revoked; `retry` means a parallel
+// request has just rotated it, so the client should keep its cookies. A valid session presented
+// with one of its earlier tokens means the token was copied, so the whole session is
+// revoked. Secrets the session never issued are only refused, so knowing a session id
+// is not enough to sign someone out.
+exports.rotateSession = async (token) => {
+  const parsed = parseToken(token);
+  if (!parsed) return { error: 'Invalid refresh token' };
+
+  const session = await Session.findById(parsed.sessionId).select('+tokenHash +previousTokenHashes');
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: 'Session has expired. Please log in again.' };
+  }
+
+  const presented = hashSecret(parsed.secret);
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  // Only the holder of the current token can rotate it
+  let rotated = null;
+  if (presented === session.tokenHash) {
+    rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: presented, revokedAt: null },
+      {
+        $set: {
+          tokenHash: hashSecret(secret),
+          lastUsedAt: new Date(),
+          expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+        },
+        $push: { previousTokenHashes: { $each: [presented], $slice: -MAX_PREVIOUS_TOKENS } }
+      },
+      { new: true }
+    );
+  }
+
+  if (rotated) {
+    return { session: rotated, refreshToken: buildToken(rotated, secret) };
+  }
+
+  // The token is an earlier one, or was current when read and another request rotated it
+  // since; reload in that case to see the rotation. Only the latest rotation gets the grace.
+  const latest = presented === session.tokenHash
+    ? await Session.findById(session._id).select('+previousTokenHashes')
+    : session;
+  const previous = (latest && latest.previousTokenHashes) || [];
+  if (!previous.includes(presented)) return { error: 'Invalid refresh token' };
+
+  const justRotated = previous[previous.length - 1] === presented &&
+    Date.now() - latest.lastUsedAt.getTime() < ROTATION_GRACE_MS;
+  if (justRotated) return { error: 'Session was refreshed by another request. Please retry.', retry: true };
+
+  await exports.revokeSession(session._id, 'reuse_detected');
+  console.warn(`Refresh token reuse detected; revoked session ${session._id}`);
+  return { error: 'Session has been revoked. Please log in again.' };
+};
+
+// The live session a refresh token is the current token of, or null
+exports.findSessionByToken = (token) => {
+  const parsed = parseToken(token);
+  if (!parsed) return null;
+
+  return Session.findOne({
+    _id: parsed.sessionId,
+    tokenHash: hashSecret(parsed.secret),
+    revokedAt: null
+  });
+};
+
+exports.revokeSession = (sessionId, reason = 'revoked') =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+// Revoke every session of a user. Resolves to how many were revoked.
+exports.revokeAllSessions = async (userId, reason = 'revoked') => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+exports.REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_MS;
+exports.describeDevice = describeDevice;
@@ -0,0 +1,97 @@
+// Wall-clock helpers for IANA timezones (e.g. "Africa/Lagos") using the built-in Intl data
+const { toMinutes } = require('./scheduling');
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+};
+
+// The local date and time of `date` in the timezone: { year, month (1-12), day, hour, minute, weekday (0 = Sunday) }
+const localParts = (date, timezone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+// How far ahead of UTC the timezone is at `date`, in ms
+const offsetAt = (date, timezone) => {
+  const p = localParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+};
+
+// The instant a local wall-clock time occurs in the timezone. Months and days may overflow.
+const zonedTime = (timezone, year, month, day, hour = 0, minute = 0) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  // Re-check the offset at the result so times next to a DST change land correctly
+  const first = guess - offsetAt(new Date(guess), timezone);
+  return new Date(guess - offsetAt(new Date(first), timezone));
+};
+
+// The first moment after `after` that falls on `hour`:00 local time,
+// on `weekday` (0 = Sunday) if one is given
+const nextLocalTime = (after, timezone, hour, weekday = null) => {
+  const today = localParts(after, timezone);
+
+  for (let i = 0; i <= 7; i++) {
+    const candidate = zonedTime(timezone, today.year, today.month, today.day + i, hour);
+    const candidateDay = (today.weekday + i) % 7;
+    if (candidate > after && (weekday === null || candidateDay === weekday)) return candidate;
+  }
+  return null;
+};
+
+// If `now` falls inside the quiet hours ({ start, end } as "HH:mm" local time, possibly
+// spanning midnight), the moment they end; otherwise null
+const quietHoursEnd = (quietHours, timezone = DEFAULT_TIMEZONE, now = new Date()) => {
+  if (!quietHours) return null;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === null || end === null || start === end) return null;
+
+  const local = localParts(now, timezone);
+  const minutes = local.hour * 60 + local.minute;
+  const inside = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  if (!inside) return null;
+
+  // Overnight quiet hours that started this evening end tomorrow
+  const dayOffset = minutes >= end ? 1 : 0;
+  return zonedTime(timezone, local.year, local.month, local.day + dayOffset, Math.floor(end / 60), end % 60);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  localParts,
+  zonedTime,
+  nextLocalTime,
+  quietHoursEnd
+};
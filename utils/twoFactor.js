@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_AUDIENCE = 'two-factor-challenge';
+
+// TOTP secrets are stored encrypted (AES-256-GCM) so a database dump alone can't mint codes
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString('base64')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = String(value).split('.').map((p) => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-f\d]/g, '')).digest('hex');
+
+// Fresh one-time recovery codes: { codes } to show the user once, { hashes } to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Short-lived token proving the password (or OAuth) step of a login passed
+const createChallengeToken = (user, method) =>
+  jwt.sign({ method }, process.env.JWT_SECRET, {
+    subject: String(user._id),
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+
+// { userId, method } for a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return { userId: decoded.sub, method: decoded.method };
+  } catch (_) {
+    return null;
+  }
+};
+
+// Check an authenticator code against the user's active secret. Each code works once:
+// the matched time step is recorded atomically and earlier steps are refused.
+const checkAuthenticatorCode = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+  if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) return false;
+
+  const step = verifyCode(decryptSecret(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Use up one recovery code; false if it isn't one of the user's unused codes
+const useRecoveryCode = async (userId, code) => {
+  const hash = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Second factor from a request body: { code } from the authenticator app or { recoveryCode }
+const verifySecondFactor = (userId, { code, recoveryCode } = {}) => {
+  if (recoveryCode) return useRecoveryCode(userId, recoveryCode);
+  return checkAuthenticatorCode(userId, code);
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor
+};